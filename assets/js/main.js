@@ -7,6 +7,12 @@ import { ComponentLoader } from './modules/component-loader.js';
 import { ThemeManager } from './modules/theme-manager.js';
 import { Utils } from './modules/utils.js';
 import { BlogManager } from './modules/blog-manager.js'; // ← ADD THIS LINE
+import { RelatedPosts } from './modules/related-posts.js';
+import { PostNavigation } from './modules/post-navigation.js';
+import { TableOfContents } from './modules/table-of-contents.js';
+import { SeriesBox } from './modules/series-box.js';
+import { ReadingProgress } from './modules/reading-progress.js';
+import { ServiceWorkerManager } from './modules/service-worker-manager.js';
 
 // ===== MAIN APPLICATION CLASS =====
 class App {
@@ -15,6 +21,12 @@ class App {
     this.componentLoader = null;
     this.themeManager = null;
     this.blogManager = null;  // ← ADD THIS LINE
+    this.relatedPosts = null;
+    this.postNavigation = null;
+    this.tableOfContents = null;
+    this.seriesBox = null;
+    this.readingProgress = null;
+    this.serviceWorkerManager = null;
     this.isInitialized = false;
   }
 
@@ -42,9 +54,10 @@ class App {
       
       // Set up global event listeners
       this.setupGlobalEvents();
-      
-      // Update copyright year
-      this.updateCopyrightYear();
+
+      // Offline support; registration doesn't hold up the page
+      this.serviceWorkerManager = new ServiceWorkerManager();
+      this.serviceWorkerManager.init();
       
       this.isInitialized = true;
       console.log('✅ Application initialized successfully');
@@ -54,13 +67,10 @@ class App {
     }
   }
 
-  // Load shared components
+  // Load shared components: every data-include element, and the includes inside them
   async loadComponents() {
     try {
-      await Promise.all([
-        this.componentLoader.loadComponent('header', '#header-component'),
-        this.componentLoader.loadComponent('footer', '#footer-component')
-      ]);
+      await this.componentLoader.loadIncludes();
     } catch (error) {
       console.error('Failed to load components:', error);
     }
@@ -69,6 +79,18 @@ class App {
   // Initialize page-specific functionality
   initPageSpecific() {
     const page = Utils.getCurrentPage();
+
+    // Article pages under pages/ share one set of features regardless of file name
+    if (document.querySelector('.blog-post')) {
+      this.initArticlePage();
+      return;
+    }
+
+    // sw.js serves the offline page at whichever URL couldn't be loaded
+    if (document.querySelector('.offline-page')) {
+      this.initOfflinePage();
+      return;
+    }
     
     // Convert 'contact' → 'initContactPage'
     const methodName = `init${page.charAt(0).toUpperCase() + page.slice(1)}Page`;
@@ -107,6 +129,37 @@ class App {
     }
   }
 
+  // Initialize article page specific features
+  async initArticlePage() {
+    console.log('📰 Initializing article page features');
+
+    try {
+      // Built from the page itself, so it doesn't wait for posts.json
+      this.tableOfContents = new TableOfContents();
+      this.tableOfContents.init();
+
+      this.readingProgress = new ReadingProgress();
+      this.readingProgress.init();
+
+      if (!this.blogManager) {
+        this.blogManager = new BlogManager();
+      }
+
+      await this.blogManager.loadBlogPosts();
+
+      this.seriesBox = new SeriesBox(this.blogManager);
+      this.seriesBox.init();
+
+      this.postNavigation = new PostNavigation(this.blogManager);
+      this.postNavigation.init();
+
+      this.relatedPosts = new RelatedPosts(this.blogManager);
+      this.relatedPosts.init();
+    } catch (error) {
+      console.error('❌ Error in initArticlePage:', error);
+    }
+  }
+
   // Initialize contact page specific features
   initContactPage() {
     console.log('📧 Initializing contact page features');
@@ -115,6 +168,18 @@ class App {
     this.setupContactForm();
   }
 
+  // Retry the page by hand or as soon as the connection comes back
+  initOfflinePage() {
+    console.log('📡 Initializing offline page features');
+
+    const retryButton = document.getElementById('offline-retry');
+    if (retryButton) {
+      retryButton.addEventListener('click', () => window.location.reload());
+    }
+
+    window.addEventListener('online', () => window.location.reload());
+  }
+
   // Initialize academics page specific features
   initAcademicsPage() {
     console.log('🎓 Initializing academics page features');
@@ -291,14 +356,6 @@ class App {
     }
   }
 
-  // Update copyright year in footer
-  updateCopyrightYear() {
-    const yearElement = document.getElementById('current-year');
-    if (yearElement) {
-      yearElement.textContent = new Date().getFullYear();
-    }
-  }
-
   // Public method to get app status
   getStatus() {
     return {
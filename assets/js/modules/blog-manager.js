@@ -1,15 +1,76 @@
 // Blog Manager Module - Dynamically loads and displays blog posts
 // Enables dynamic blog content with JSON data source
 
+import { BlogSearch } from './blog-search.js';
+import { DataCache } from './data-cache.js';
+import { PostSchema } from './post-schema.js';
+import { ReadingProgress } from './reading-progress.js';
+import { ReadingTime } from './reading-time.js';
+import { Utils } from './utils.js';
+
 export class BlogManager {
-  constructor() {
+  constructor(options = {}) {
+    this.options = {
+      // Site root that post, image and data URLs are relative to, so cards also work from pages/
+      baseUrl: new URL('../../../', import.meta.url).href,
+      dataUrl: 'assets/data/posts.json',
+      // Persistent cache that serves posts.json at once and refreshes it in the background
+      dataCache: DataCache.shared,
+      // Reading speed used to turn each post's word count into minutes
+      wordsPerMinute: ReadingTime.defaults.wordsPerMinute,
+      // How further posts are reached: 'numbered' pages, a 'load-more' button or 'infinite' scroll
+      // A data-paging attribute on #blog-posts overrides this
+      paging: 'numbered',
+      // Show drafts and scheduled posts with a badge, e.g. blog.html?preview=1
+      preview: new URLSearchParams(window.location.search).get('preview') === '1',
+      // localStorage key remembering the grid/archive choice
+      viewStorageKey: 'mitch-portfolio-blog-view',
+      // Category button order: 'count', 'alpha', 'recent' or an explicit list of categories
+      categoryOrder: 'count',
+      // Feeds written by scripts/build-feeds.js, advertised with <link rel="alternate">
+      feeds: [
+        { type: 'application/rss+xml', href: 'feed.xml', title: 'Mitch Radakovich - Blog (RSS)' },
+        { type: 'application/atom+xml', href: 'atom.xml', title: 'Mitch Radakovich - Blog (Atom)' },
+        { type: 'application/feed+json', href: 'feed.json', title: 'Mitch Radakovich - Blog (JSON Feed)' }
+      ],
+      ...options
+    };
     this.blogContainer = null;
     this.filterContainer = null;
+    this.searchInput = null;
+    this.searchStatus = null;
+    this.search = null;
+    this.searchQuery = '';
+    this.searchMatches = new Map();
+    this.tagContainer = null;
+    this.activeTags = new Set();
+    this.tagMode = 'any'; // 'any' (OR) or 'all' (AND)
+    this.seriesContainer = null;
+    this.activeSeries = null;
+    this.sortSelect = null;
+    this.sortOrder = null; // null: best match while searching, otherwise newest first
+    this.viewToggle = null;
+    this.viewMode = 'grid'; // 'grid' (paginated cards) or 'archive' (list grouped by date)
+    this.collapsedGroups = new Set();
     this.blogPosts = [];
+    this.loadError = null;
     this.filteredPosts = [];
+    this.categoryCandidates = [];
     this.postsPerPage = 6;
-    this.currentPage = 1;
+    this.currentPage = 1; // with 'load-more' and 'infinite' paging, the number of pages shown
+    this.pagingObserver = null;
     this.currentFilter = 'all';
+
+    // Query string keys used to make the blog state shareable
+    this.urlKeys = {
+      category: 'category',
+      page: 'page',
+      query: 'q',
+      tags: 'tags',
+      tagMode: 'match',
+      series: 'series',
+      sort: 'sort'
+    };
   }
 
   // Initialize blog manager
@@ -17,15 +78,34 @@ export class BlogManager {
     try {
       this.blogContainer = document.getElementById('blog-posts');
       this.filterContainer = document.getElementById('blog-filters');
+      this.searchInput = document.getElementById('blog-search-input');
+      this.searchStatus = document.getElementById('blog-search-status');
+      this.tagContainer = document.getElementById('blog-tag-bar');
+      this.seriesContainer = document.getElementById('blog-series-filter');
+      this.sortSelect = document.getElementById('blog-sort');
+      this.viewToggle = document.getElementById('blog-view-toggle');
       
       if (!this.blogContainer) {
         console.error('❌ Blog container (#blog-posts) not found in DOM!');
         return;
       }
 
+      this.injectFeedLinks();
+
       await this.loadBlogPosts();
+      this.search = new BlogSearch(this.blogPosts);
+      this.renderFilters();
       this.setupFilters();
-      this.renderBlogPosts();
+      this.setupSearch();
+      this.setupTagFilters();
+      this.setupSeriesFilter();
+      this.setupSort();
+      this.setupViewToggle();
+      this.setupHistory();
+
+      this.restoreStateFromUrl();
+      this.renderView();
+      this.setupScrollRestoration();
       
       console.log('✅ Blog manager initialized successfully');
     } catch (error) {
@@ -33,122 +113,719 @@ export class BlogManager {
     }
   }
 
-  // Load blog posts from posts.json
+  // Load blog posts from posts.json; a cached copy renders at once and newer posts follow
   async loadBlogPosts() {
+    this.loadError = null;
+
     try {
-      const response = await fetch('assets/data/posts.json');
-      if (!response.ok) {
-        throw new Error(`Failed to load posts: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      // Sort posts by date (newest first)
-      this.blogPosts = data.posts.sort((a, b) => 
-        new Date(b.date) - new Date(a.date)
-      );
-      
-      this.filteredPosts = [...this.blogPosts];
-      console.log(`✅ Loaded ${this.blogPosts.length} blog posts from JSON`);
+      const data = await this.options.dataCache.get(this.resolveUrl(this.options.dataUrl), {
+        type: 'json',
+        onUpdate: freshData => this.handlePostsUpdate(freshData)
+      });
+
+      this.setPosts(data);
     } catch (error) {
       console.error('Error loading blog posts from JSON:', error);
-      console.log('📦 Falling back to static posts');
-      this.loadFallbackPosts();
-    }
-  }
-
-  // Fallback to existing static posts if JSON fails
-  loadFallbackPosts() {
-    this.blogPosts = [
-      {
-        id: "data-ethics",
-        title: "Data Ethics",
-        excerpt: "Exploring ethical considerations in data science and the impact of surveillance capitalism on our society...",
-        date: "2021-03-07",
-        category: "Data Science",
-        url: "pages/data_ethics_blog.html",
-        image: null,
-        tags: ["ethics", "privacy", "surveillance"],
-        readTime: "8 min read"
-      },
-      {
-        id: "mapbox-challenge",
-        title: "Mapbox Challenge",
-        excerpt: "Analyzing voting patterns and gerrymandering through data visualization using Mapbox tools...",
-        date: "2020-11-30",
-        category: "Data Visualization",
-        url: "pages/mapbox_challenge_blog.html",
-        image: null,
-        tags: ["visualization", "mapping", "politics"],
-        readTime: "6 min read"
-      },
-      {
-        id: "pg-internship",
-        title: "Procter & Gamble, Take Two",
-        excerpt: "My virtual internship experience building supply chain models and the lessons learned about engineering process...",
-        date: "2020-08-04",
-        category: "Experience",
-        url: "pages/online_internship_blog.html",
-        image: null,
-        tags: ["internship", "supply-chain", "remote-work"],
-        readTime: "5 min read"
-      },
-      {
-        id: "uncertain-spring",
-        title: "Uncertain Spring",
-        excerpt: "Adapting to life during the pandemic and finding new routines during an unprecedented time...",
-        date: "2020-04-22",
-        category: "Personal",
-        url: "pages/uncertain_spring_blog.html",
-        image: null,
-        tags: ["pandemic", "reflection", "adaptation"],
-        readTime: "4 min read"
-      },
-      {
-        id: "data-in-dc",
-        title: "Data in DC",
-        excerpt: "My STEP project experience learning about data usage in government, business, and nonprofits in Washington DC...",
-        date: "2020-03-01",
-        category: "Experience",
-        url: "pages/data_in_dc_blog.html",
-        image: null,
-        tags: ["government", "nonprofits", "policy"],
-        readTime: "7 min read"
-      },
-      {
-        id: "hack-ohio-2019",
-        title: "Hack OHI/O 2019",
-        excerpt: "Reflections on my hackathon experience at Ohio State...",
-        date: "2019-11-25",
-        category: "Hackathon",
-        url: "pages/hack_ohio_2019_blog.html",
-        image: null,
-        tags: ["hackathon", "coding", "teamwork"],
-        readTime: "3 min read"
-      }
-    ];
+      this.loadError = error;
+      this.blogPosts = [];
+      this.filteredPosts = [];
+    }
+  }
+
+  // Validate, filter and sort the posts from posts.json
+  setPosts(data) {
+    // Invalid entries are skipped so one bad post can't break the whole grid
+    const { posts, errors } = PostSchema.validatePosts(data && data.posts);
+    errors.forEach(error => console.warn(`⚠️ Skipping invalid post: ${PostSchema.formatError(error)}`));
+
+    posts.forEach(post => this.applyReadingTime(post));
+
+    const visiblePosts = posts.filter(post => this.isVisible(post));
+
+    if (this.options.preview) {
+      console.log('👀 Preview mode: showing drafts and scheduled posts');
+    }
+
+    // Sort posts by date (newest first)
+    this.blogPosts = visiblePosts.sort((a, b) => PostSchema.compareByDate(a, b));
     
     this.filteredPosts = [...this.blogPosts];
-    console.log('Using fallback blog posts');
+    console.log(`✅ Loaded ${this.blogPosts.length} blog posts from JSON`);
+  }
+
+  // Drafts and scheduled posts stay hidden everywhere unless previewing
+  isVisible(post) {
+    return this.options.preview || PostSchema.isPublished(post);
+  }
+
+  // The background refresh found a newer posts.json; re-render with the current filters
+  handlePostsUpdate(data) {
+    this.setPosts(data);
+
+    // Before init() has rendered, the fresh posts are simply used for the first render
+    if (!this.blogContainer || !this.search) return;
+
+    this.rerenderPosts();
+  }
+
+  // Recompute minutes from the post's word and image counts at the configured reading speed
+  applyReadingTime(post) {
+    if (Number.isInteger(post.words)) {
+      post.minutes = ReadingTime.estimate(post, { wordsPerMinute: this.options.wordsPerMinute });
+    }
+    return post;
+  }
+
+  // Reading time label; posts without counts fall back to a stored readTime string
+  getReadTime(post) {
+    if (Number.isInteger(post.minutes)) return ReadingTime.format(post.minutes);
+    return post.readTime || '';
+  }
+
+  // Add feed discovery links to <head> so readers can find the feeds
+  injectFeedLinks() {
+    this.options.feeds.forEach(feed => {
+      if (document.head.querySelector(`link[rel="alternate"][type="${feed.type}"]`)) return;
+
+      const link = document.createElement('link');
+      link.rel = 'alternate';
+      link.type = feed.type;
+      link.href = feed.href;
+      link.title = feed.title;
+      document.head.appendChild(link);
+    });
+  }
+
+  // Retry loading posts after a failed request
+  async reloadPosts() {
+    await this.loadBlogPosts();
+    this.rerenderPosts();
+  }
+
+  // Re-render everything built from the post list
+  rerenderPosts() {
+    if (this.search) {
+      this.search.setPosts(this.blogPosts);
+    }
+    this.renderFilters();
+    this.renderView();
   }
 
   // Set up category filters
   setupFilters() {
     if (!this.filterContainer) return;
 
-    const filterButtons = this.filterContainer.querySelectorAll('.filter-btn');
-    filterButtons.forEach(button => {
-      button.addEventListener('click', (e) => {
-        const category = e.target.getAttribute('data-category');
-        this.filterByCategory(category);
-        
-        // Update active filter button
-        filterButtons.forEach(btn => btn.classList.remove('active'));
-        e.target.classList.add('active');
-      });
+    // Buttons are generated from the posts, so delegate from the container
+    this.filterContainer.addEventListener('click', (e) => {
+      const button = e.target.closest('.filter-btn');
+      if (!button) return;
+
+      // Active button state is updated by syncControls()
+      this.filterByCategory(button.getAttribute('data-category'));
+    });
+
+    this.filterContainer.addEventListener('keydown', (e) => {
+      this.handleFilterKeydown(e);
+    });
+  }
+
+  // Build the category filter bar from the loaded posts
+  renderFilters() {
+    if (!this.filterContainer) return;
+
+    this.filterContainer.setAttribute('role', 'group');
+    if (!this.filterContainer.hasAttribute('aria-label')) {
+      this.filterContainer.setAttribute('aria-label', 'Filter posts by category');
+    }
+
+    const categories = this.getCategories();
+    const buttons = [{ slug: 'all', name: 'All Posts' }, ...categories].map(({ slug, name }) => Utils.html`
+      <button type="button" class="filter-btn" data-category="${slug}" aria-pressed="false">
+        <span class="filter-label">${name}</span>
+        <span class="filter-count" aria-hidden="true"></span>
+      </button>`);
+
+    Utils.render(this.filterContainer, Utils.html`${buttons}`);
+  }
+
+  // List categories present in the posts as [{ slug, name, count, latest }] in configured order
+  getCategories() {
+    const categories = new Map();
+
+    this.blogPosts.forEach((post, index) => {
+      const slug = this.getCategorySlug(post.category);
+      if (!categories.has(slug)) {
+        // Posts are sorted newest first, so the first post seen is the latest
+        categories.set(slug, { slug, name: post.category, count: 0, latest: index });
+      }
+      categories.get(slug).count++;
+    });
+
+    const list = [...categories.values()];
+    const order = this.getCategoryOrder();
+
+    if (Array.isArray(order)) {
+      // Explicit order; categories missing from the list keep their post count order after it
+      const position = category => {
+        const index = order.findIndex(name => this.getCategorySlug(name) === category.slug);
+        return index === -1 ? order.length : index;
+      };
+      return list.sort((a, b) => position(a) - position(b) || b.count - a.count);
+    }
+
+    const comparators = {
+      alpha: (a, b) => a.name.localeCompare(b.name),
+      recent: (a, b) => a.latest - b.latest,
+      count: (a, b) => b.count - a.count || a.name.localeCompare(b.name)
+    };
+
+    return list.sort(comparators[order] || comparators.count);
+  }
+
+  // Category order from data-category-order on the filter bar, falling back to the option
+  // The attribute takes a keyword or a comma-separated list of categories
+  getCategoryOrder() {
+    const attribute = this.filterContainer && this.filterContainer.getAttribute('data-category-order');
+    if (!attribute) return this.options.categoryOrder;
+
+    return attribute.includes(',') ?
+      attribute.split(',').map(name => name.trim()).filter(Boolean) :
+      attribute.trim();
+  }
+
+  // Slug used for data-category attributes and the category URL parameter
+  getCategorySlug(category) {
+    return String(category).toLowerCase().replace(/\s+/g, '-');
+  }
+
+  // Arrow-key navigation between category buttons (roving tabindex)
+  handleFilterKeydown(e) {
+    const buttons = Array.from(this.filterContainer.querySelectorAll('.filter-btn'));
+    const currentIndex = buttons.indexOf(e.target.closest('.filter-btn'));
+    if (currentIndex === -1) return;
+
+    const keyMoves = {
+      ArrowLeft: currentIndex > 0 ? currentIndex - 1 : buttons.length - 1,
+      ArrowRight: currentIndex < buttons.length - 1 ? currentIndex + 1 : 0,
+      Home: 0,
+      End: buttons.length - 1
+    };
+
+    if (!(e.key in keyMoves)) return;
+
+    e.preventDefault();
+    buttons.forEach((button, index) => button.setAttribute('tabindex', index === keyMoves[e.key] ? '0' : '-1'));
+    buttons[keyMoves[e.key]].focus();
+  }
+
+  // Set up the search box
+  setupSearch() {
+    if (!this.searchInput) return;
+
+    const runSearch = Utils.debounce(() => {
+      this.searchPosts(this.searchInput.value);
+    }, 200);
+
+    this.searchInput.addEventListener('input', runSearch);
+
+    this.searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.searchInput.value) {
+        e.preventDefault();
+        this.clearSearch();
+      }
+    });
+  }
+
+  // Search posts, keeping the active category and tag filters
+  searchPosts(query = '') {
+    this.searchQuery = query.trim();
+
+    // Typing replaces the current history entry instead of adding one per keystroke
+    this.refreshResults({ push: false });
+  }
+
+  // Clear the search box and show all posts in the current category
+  clearSearch() {
+    if (this.searchInput) {
+      this.searchInput.value = '';
+    }
+    this.searchPosts('');
+  }
+
+  // Set up clickable tags on cards and the tag filter bar
+  setupTagFilters() {
+    // Tags on cards are re-rendered on every page, so delegate from the grid
+    this.blogContainer.addEventListener('click', (e) => {
+      const tagButton = e.target.closest('[data-tag]');
+      if (tagButton) {
+        this.toggleTag(tagButton.getAttribute('data-tag'));
+      }
+    });
+
+    if (!this.tagContainer) return;
+
+    this.tagContainer.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-tag-option]');
+      const chip = e.target.closest('[data-remove-tag]');
+      const mode = e.target.closest('[data-tag-mode]');
+
+      if (option) {
+        this.toggleTag(option.getAttribute('data-tag-option'));
+      } else if (chip) {
+        this.removeTag(chip.getAttribute('data-remove-tag'));
+      } else if (mode) {
+        this.setTagMode(mode.getAttribute('data-tag-mode'));
+      } else if (e.target.closest('[data-action="clear-tags"]')) {
+        this.clearTags();
+      }
+    });
+  }
+
+  // Add a tag to the active tag filters, or remove it if already active
+  toggleTag(tag) {
+    if (this.activeTags.has(tag)) {
+      this.activeTags.delete(tag);
+    } else {
+      this.activeTags.add(tag);
+    }
+    this.refreshResults();
+  }
+
+  // Remove a single tag filter
+  removeTag(tag) {
+    if (!this.activeTags.delete(tag)) return;
+    this.refreshResults();
+    Utils.announceToScreenReader(`Removed tag filter ${tag}`);
+  }
+
+  // Remove every tag filter
+  clearTags() {
+    if (!this.activeTags.size) return;
+    this.activeTags.clear();
+    this.refreshResults();
+  }
+
+  // Switch between matching any (OR) or all (AND) of the active tags
+  setTagMode(mode) {
+    if (!['any', 'all'].includes(mode) || mode === this.tagMode) return;
+    this.tagMode = mode;
+    this.refreshResults();
+  }
+
+  // Re-filter from the first page, redraw and record the new state in the URL
+  refreshResults({ push = true } = {}) {
+    this.currentPage = 1;
+    this.renderView();
+    this.updateUrl({ push });
+  }
+
+  // Apply the current state and redraw the grid and every control that reflects it
+  renderView() {
+    this.applyFilters();
+
+    const totalPages = Math.max(1, Math.ceil(this.filteredPosts.length / this.postsPerPage));
+    this.currentPage = Math.min(Math.max(1, this.currentPage), totalPages);
+
+    this.renderBlogPosts();
+    this.renderTagBar();
+    this.renderSeriesFilter();
+    this.updateSearchStatus();
+    this.syncControls();
+  }
+
+  // Follow browser back/forward between blog states
+  setupHistory() {
+    window.addEventListener('popstate', () => {
+      this.restoreStateFromUrl();
+      this.renderView();
+    });
+  }
+
+  // Read category, page, search query and tags from the query string
+  restoreStateFromUrl() {
+    const params = Utils.getUrlParams();
+    const keys = this.urlKeys;
+
+    this.currentFilter = params[keys.category] || 'all';
+    this.searchQuery = (params[keys.query] || '').trim();
+    this.activeTags = new Set((params[keys.tags] || '').split(',').map(tag => tag.trim()).filter(Boolean));
+    this.tagMode = params[keys.tagMode] === 'all' ? 'all' : 'any';
+    this.activeSeries = params[keys.series] || null;
+    this.currentPage = parseInt(params[keys.page], 10) || 1;
+    this.sortOrder = params[keys.sort] || null;
+  }
+
+  // Write the current state to the query string; default values are left out
+  updateUrl({ push = true } = {}) {
+    const keys = this.urlKeys;
+
+    Utils.updateUrlParams({
+      [keys.category]: this.currentFilter !== 'all' ? this.currentFilter : null,
+      [keys.page]: this.currentPage > 1 ? this.currentPage : null,
+      [keys.query]: this.searchQuery || null,
+      [keys.tags]: this.activeTags.size ? [...this.activeTags].join(',') : null,
+      [keys.tagMode]: this.tagMode === 'all' ? 'all' : null,
+      [keys.series]: this.activeSeries,
+      [keys.sort]: this.sortOrder
+    }, { push });
+  }
+
+  // Update pressed state, tab stop and live post counts of the category buttons
+  updateFilterButtons() {
+    const counts = new Map();
+    this.categoryCandidates.forEach(post => {
+      const slug = this.getCategorySlug(post.category);
+      counts.set(slug, (counts.get(slug) || 0) + 1);
+    });
+
+    this.filterContainer.querySelectorAll('.filter-btn').forEach(button => {
+      const slug = button.getAttribute('data-category');
+      const count = slug === 'all' ? this.categoryCandidates.length : counts.get(slug) || 0;
+      const isActive = slug === this.currentFilter;
+      const label = button.querySelector('.filter-label');
+
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+      button.setAttribute('tabindex', isActive ? '0' : '-1');
+      button.setAttribute('aria-label', `${label ? label.textContent : slug}, ${count} ${count === 1 ? 'post' : 'posts'}`);
+
+      const countElement = button.querySelector('.filter-count');
+      if (countElement) {
+        countElement.textContent = count;
+      }
+    });
+  }
+
+  // Bring the filter buttons, search box and layout toggle in line with the current state
+  syncControls() {
+    if (this.filterContainer) {
+      this.updateFilterButtons();
+    }
+
+    if (this.sortSelect) {
+      this.updateSortSelect();
+    }
+
+    if (this.viewToggle) {
+      this.updateViewToggle();
+    }
+
+    if (this.searchInput && this.searchInput.value.trim() !== this.searchQuery) {
+      this.searchInput.value = this.searchQuery;
+    }
+  }
+
+  // Recompute filteredPosts from the active category, tags and search query
+  applyFilters() {
+    this.searchMatches = new Map();
+
+    let posts = this.blogPosts;
+
+    if (this.searchQuery && this.search) {
+      // Search results are already ranked by relevance
+      const results = this.search.search(this.searchQuery);
+      results.forEach(result => this.searchMatches.set(result.post.id, result));
+      posts = results.map(result => result.post);
+    }
+
+    // Posts matching everything except the category, used for the live filter counts
+    this.categoryCandidates = posts.filter(post => this.matchesTags(post) && this.matchesSeries(post));
+    this.filteredPosts = this.sortPosts(this.categoryCandidates.filter(post => this.matchesCategory(post)));
+  }
+
+  // Sort options; 'relevance' and 'tags' only apply while searching or filtering by tag
+  getSortOptions() {
+    const readLength = post => [post.minutes || 0, post.words || 0];
+    const byReadLength = (a, b) => {
+      const [minutesA, wordsA] = readLength(a);
+      const [minutesB, wordsB] = readLength(b);
+      return minutesA - minutesB || wordsA - wordsB;
+    };
+    const tagsMatched = post => (post.tags || []).filter(tag => this.activeTags.has(tag)).length;
+
+    return {
+      // Search results arrive ranked, so keeping their order is the relevance sort
+      relevance: { label: 'Best match', available: Boolean(this.searchQuery), compare: () => 0 },
+      newest: { label: 'Newest first', available: true, compare: (a, b) => PostSchema.compareByDate(a, b) },
+      oldest: { label: 'Oldest first', available: true, compare: (a, b) => PostSchema.compareByDate(b, a) },
+      title: {
+        label: 'Title A–Z',
+        available: true,
+        compare: (a, b) => a.title.localeCompare(b.title, 'en', { sensitivity: 'base', numeric: true })
+      },
+      longest: { label: 'Longest read', available: true, compare: (a, b) => byReadLength(b, a) },
+      shortest: { label: 'Shortest read', available: true, compare: byReadLength },
+      tags: {
+        label: 'Most tags matched',
+        available: this.activeTags.size > 0,
+        compare: (a, b) => tagsMatched(b) - tagsMatched(a)
+      },
+      // Only posts in the active series are left, so every post has a part
+      part: {
+        label: 'Series order',
+        available: Boolean(this.activeSeries),
+        compare: (a, b) => a.series.part - b.series.part
+      }
+    };
+  }
+
+  // The sort in effect: the chosen one if it applies, otherwise best match or newest
+  getActiveSort() {
+    const options = this.getSortOptions();
+    if (this.sortOrder && options[this.sortOrder] && options[this.sortOrder].available) {
+      return this.sortOrder;
+    }
+    if (this.searchQuery) return 'relevance';
+    return this.activeSeries ? 'part' : 'newest';
+  }
+
+  // Stable sort: posts that compare equal keep their date (or relevance) order
+  sortPosts(posts) {
+    const { compare } = this.getSortOptions()[this.getActiveSort()];
+    return [...posts].sort(compare);
+  }
+
+  setupSort() {
+    if (!this.sortSelect) return;
+
+    this.sortSelect.addEventListener('change', () => {
+      this.setSortOrder(this.sortSelect.value);
+    });
+  }
+
+  setSortOrder(sortOrder) {
+    if (!this.getSortOptions()[sortOrder]) return;
+
+    this.sortOrder = sortOrder;
+    this.refreshResults();
+  }
+
+  // Rebuild the options, since best match and tag sorting come and go with the filters
+  updateSortSelect() {
+    const activeSort = this.getActiveSort();
+    const options = Object.entries(this.getSortOptions()).filter(([, option]) => option.available);
+
+    Utils.render(this.sortSelect, Utils.html`${options.map(([value, option]) =>
+      Utils.html`<option value="${value}"${Utils.attrs({ selected: value === activeSort })}>${option.label}</option>`
+    )}`);
+    this.sortSelect.value = activeSort;
+
+    // The archive is always chronological
+    this.sortSelect.disabled = this.viewMode === 'archive';
+  }
+
+  // Check whether a post belongs to the active category
+  matchesCategory(post) {
+    if (this.currentFilter === 'all') return true;
+    return this.getCategorySlug(post.category) === this.currentFilter.toLowerCase();
+  }
+
+  // Check whether a post carries any (or all) of the active tags
+  matchesTags(post) {
+    if (!this.activeTags.size) return true;
+
+    const postTags = post.tags || [];
+    const hasTag = tag => postTags.includes(tag);
+    const activeTags = [...this.activeTags];
+
+    return this.tagMode === 'all' ? activeTags.every(hasTag) : activeTags.some(hasTag);
+  }
+
+  // Check whether a post belongs to the active series
+  matchesSeries(post) {
+    if (!this.activeSeries) return true;
+    return Boolean(post.series) && post.series.id === this.activeSeries;
+  }
+
+  // Series badges on cards and the series bar both filter by series
+  setupSeriesFilter() {
+    this.blogContainer.addEventListener('click', (e) => {
+      const badge = e.target.closest('[data-series]');
+      if (badge) {
+        this.toggleSeries(badge.getAttribute('data-series'));
+      }
+    });
+
+    if (!this.seriesContainer) return;
+
+    this.seriesContainer.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-series-option]');
+      if (option) {
+        this.toggleSeries(option.getAttribute('data-series-option'));
+      }
     });
   }
 
+  // Show only the posts of a series, or every post again if it is already active
+  toggleSeries(seriesId) {
+    this.activeSeries = this.activeSeries === seriesId ? null : seriesId;
+    this.refreshResults();
+
+    Utils.announceToScreenReader(this.activeSeries ?
+      `Showing the ${this.getSeriesTitle(this.activeSeries)} series` :
+      'Series filter removed');
+  }
+
+  clearSeries() {
+    this.activeSeries = null;
+    this.refreshResults();
+  }
+
+  // Posts in a series, in part order
+  getSeriesPosts(seriesId) {
+    return this.blogPosts
+      .filter(post => post.series && post.series.id === seriesId)
+      .sort((a, b) => a.series.part - b.series.part);
+  }
+
+  // Series title from the first post that names it, otherwise from its id
+  getSeriesTitle(seriesId) {
+    const named = this.blogPosts.find(post => post.series && post.series.id === seriesId && post.series.title);
+    return named ? named.series.title : seriesId.split('-').map(word => Utils.capitalize(word)).join(' ');
+  }
+
+  // { id, title, part, total, posts } for a post in a series, or null
+  getSeriesInfo(post) {
+    if (!post.series) return null;
+
+    const posts = this.getSeriesPosts(post.series.id);
+    const total = Math.max(posts.length, ...posts.map(seriesPost => seriesPost.series.part));
+
+    return {
+      id: post.series.id,
+      title: this.getSeriesTitle(post.series.id),
+      part: post.series.part,
+      total,
+      posts
+    };
+  }
+
+  // Every series with its number of posts, alphabetically
+  getSeriesList() {
+    const ids = [...new Set(this.blogPosts.filter(post => post.series).map(post => post.series.id))];
+
+    return ids
+      .map(id => ({ id, title: this.getSeriesTitle(id), count: this.getSeriesPosts(id).length }))
+      .sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  // "Part 2 of 3" badge; a button that filters by the series except on compact cards
+  createSeriesBadge(post, { compact = false } = {}) {
+    const series = this.getSeriesInfo(post);
+    if (!series) return '';
+
+    const label = `Part ${series.part} of ${series.total}`;
+
+    if (compact) {
+      return Utils.html`<span class="series-badge" title="${series.title}">${label}</span>`;
+    }
+
+    const isActive = this.activeSeries === series.id;
+    return Utils.html`<button type="button" class="series-badge${isActive ? ' active' : ''}" data-series="${series.id}"
+      aria-pressed="${String(isActive)}" title="Show all posts in ${series.title}">${label}</button>`;
+  }
+
+  // Series filter bar, hidden when no post belongs to a series
+  renderSeriesFilter() {
+    if (!this.seriesContainer) return;
+
+    const seriesList = this.getSeriesList();
+    if (!seriesList.length) {
+      this.seriesContainer.hidden = true;
+      return;
+    }
+
+    const optionsHtml = seriesList.map(series => {
+      const isActive = this.activeSeries === series.id;
+      return Utils.html`
+        <button type="button" class="tag-option series-option${isActive ? ' active' : ''}"
+                data-series-option="${series.id}" aria-pressed="${String(isActive)}">
+          ${series.title} <span class="tag-count">${series.count}</span>
+        </button>`;
+    });
+
+    this.seriesContainer.hidden = false;
+    Utils.render(this.seriesContainer, Utils.html`
+      <span class="series-filter-label" id="series-filter-label">Series</span>
+      <div class="series-options" role="group" aria-labelledby="series-filter-label">${optionsHtml}</div>
+    `);
+  }
+
+  // Count how many posts use each tag, most used first
+  getTagCounts() {
+    const counts = new Map();
+
+    this.blogPosts.forEach(post => {
+      (post.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  }
+
+  // Render the tag filter bar: match mode, active chips and every tag option
+  renderTagBar() {
+    if (!this.tagContainer) return;
+
+    const tagCounts = this.getTagCounts();
+    if (!tagCounts.length) {
+      this.tagContainer.hidden = true;
+      return;
+    }
+
+    const modeButton = (mode, label) => Utils.html`
+      <button type="button" class="tag-mode-btn${this.tagMode === mode ? ' active' : ''}"
+              data-tag-mode="${mode}" aria-pressed="${String(this.tagMode === mode)}">${label}</button>`;
+
+    const chipsHtml = [...this.activeTags].map(tag => Utils.html`
+      <span class="tag-chip">
+        ${tag}
+        <button type="button" class="tag-chip-remove" data-remove-tag="${tag}"
+                aria-label="Remove tag filter ${tag}">&times;</button>
+      </span>`);
+
+    const optionsHtml = tagCounts.map(([tag, count]) => {
+      const isActive = this.activeTags.has(tag);
+      return Utils.html`
+        <button type="button" class="tag-option${isActive ? ' active' : ''}"
+                data-tag-option="${tag}" aria-pressed="${String(isActive)}">
+          ${tag} <span class="tag-count">${count}</span>
+        </button>`;
+    });
+
+    this.tagContainer.hidden = false;
+    Utils.render(this.tagContainer, Utils.html`
+      <div class="tag-bar-header">
+        <span class="tag-bar-label" id="tag-bar-label">Filter by tag</span>
+        <div class="tag-mode" role="group" aria-label="Match posts with">
+          ${modeButton('any', 'Any tag')}
+          ${modeButton('all', 'All tags')}
+        </div>
+      </div>
+      ${this.activeTags.size ? Utils.html`
+        <div class="tag-chips">
+          ${chipsHtml}
+          <button type="button" class="tag-clear-btn" data-action="clear-tags">Clear tags</button>
+        </div>` : ''}
+      <div class="tag-options" role="group" aria-labelledby="tag-bar-label">
+        ${optionsHtml}
+      </div>
+    `);
+  }
+
+  // Describe the search result count below the search box
+  updateSearchStatus() {
+    if (!this.searchStatus) return;
+
+    if (!this.searchQuery) {
+      this.searchStatus.textContent = '';
+      return;
+    }
+
+    const count = this.filteredPosts.length;
+    this.searchStatus.textContent = `${count} ${count === 1 ? 'post matches' : 'posts match'} "${this.searchQuery}"`;
+  }
+
   // Render blog posts to the grid
   renderBlogPosts() {
     if (!this.blogContainer) {
@@ -156,21 +833,36 @@ export class BlogManager {
       return;
     }
     
+    this.blogContainer.classList.toggle('archive-mode', this.viewMode === 'archive');
+
     if (!this.filteredPosts.length) {
       this.showEmptyState();
+      this.renderPagination();
       return;
     }
 
     // Clear existing content
     this.blogContainer.innerHTML = '';
 
-    // Calculate pagination
-    const startIndex = (this.currentPage - 1) * this.postsPerPage;
-    const endIndex = startIndex + this.postsPerPage;
-    const postsToShow = this.filteredPosts.slice(startIndex, endIndex);
+    if (this.viewMode === 'archive') {
+      this.blogContainer.appendChild(this.renderArchive());
+      this.renderPagination();
+      return;
+    }
+
+    // Calculate pagination; appending strategies show every page loaded so far
+    const endIndex = this.currentPage * this.postsPerPage;
+    const startIndex = this.getPagingStrategy() === 'numbered' ? endIndex - this.postsPerPage : 0;
+
+    this.appendBlogCards(this.filteredPosts.slice(startIndex, endIndex));
+
+    // Add pagination if needed
+    this.renderPagination();
+  }
 
-    // Render each post
-    postsToShow.forEach((post, index) => {
+  // Append cards with a staggered entrance animation
+  appendBlogCards(posts) {
+    posts.forEach((post, index) => {
       const blogCard = this.createBlogCard(post);
       this.blogContainer.appendChild(blogCard);
       
@@ -179,46 +871,230 @@ export class BlogManager {
         blogCard.classList.add('animate-in');
       }, index * 100);
     });
-
-    // Add pagination if needed
-    this.renderPagination();
   }
 
   // Create individual blog card HTML
-  createBlogCard(post) {
+  // Compact cards drop the excerpt and tag filters, e.g. for related posts on article pages
+  createBlogCard(post, { compact = false } = {}) {
     const article = document.createElement('article');
-    article.className = 'blog-card';
-    article.setAttribute('data-category', post.category.toLowerCase().replace(/\s+/g, '-'));
+    article.className = compact ? 'blog-card compact' : 'blog-card';
+    article.setAttribute('data-category', this.getCategorySlug(post.category));
 
     const formattedDate = this.formatDate(post.date);
+    const readTime = this.getReadTime(post);
+
+    // Highlight matched search terms in the visible text
+    const match = this.searchMatches.get(post.id);
+    const highlight = text => match ? BlogSearch.highlight(text, match.terms) : text;
+
     const imageElement = post.image ? 
-      `<img src="${post.image}" alt="${post.title}" class="blog-image" loading="lazy">` :
-      `<div class="img-placeholder blog-icon" title="${post.title} blog image placeholder"></div>`;
+      Utils.html`<img src="${this.resolveUrl(post.image)}" alt="${post.title}" class="blog-image" loading="lazy">` :
+      Utils.html`<div class="img-placeholder blog-icon" title="${post.title} blog image placeholder"></div>`;
+
+    // Compact cards sit under their panel's own <h2>
+    const title = compact ?
+      Utils.html`<h3 class="blog-title">${highlight(post.title)}</h3>` :
+      Utils.html`<h2 class="blog-title">${highlight(post.title)}</h2>`;
 
     // Create tags HTML if available
-    const tagsHtml = post.tags ? 
-      `<div class="blog-tags">
-        ${post.tags.slice(0, 3).map(tag => `<span class="blog-tag">${tag}</span>`).join('')}
+    const tagsHtml = post.tags && !compact ?
+      Utils.html`<div class="blog-tags">
+        ${post.tags.slice(0, 3).map(tag => this.createTagButton(tag, highlight(tag)))}
       </div>` : '';
 
-    article.innerHTML = `
+    Utils.render(article, Utils.html`
       ${imageElement}
       <div class="blog-card-content">
-        <h2 class="blog-title">${post.title}</h2>
-        <p class="blog-excerpt">${post.excerpt}</p>
+        ${this.createStatusBadge(post)}
+        ${this.createSeriesBadge(post, { compact })}
+        ${title}
+        ${compact ? '' : Utils.html`<p class="blog-excerpt">${highlight(post.excerpt)}</p>`}
         ${tagsHtml}
         <div class="blog-meta">
           <time class="blog-date" datetime="${post.date}">${formattedDate}</time>
-          <span class="blog-category">${post.category}</span>
-          ${post.readTime ? `<span class="blog-read-time">${post.readTime}</span>` : ''}
+          <span class="blog-category">${highlight(post.category)}</span>
+          ${readTime ? Utils.html`<span class="blog-read-time">${readTime}</span>` : ''}
+          ${this.createReadingMarker(post)}
         </div>
-        <a href="${post.url}" class="blog-link">Read More</a>
+        <a href="${this.getPostUrl(post)}" class="blog-link">Read More</a>
       </div>
-    `;
+    `);
 
     return article;
   }
 
+  // Resolve a site-relative URL from posts.json against the site root
+  resolveUrl(path) {
+    return new URL(path, this.options.baseUrl).href;
+  }
+
+  // Link to a post's page, keeping preview mode so drafts stay visible while browsing
+  getPostUrl(post) {
+    const url = new URL(this.resolveUrl(post.url));
+    if (this.options.preview) {
+      url.searchParams.set('preview', '1');
+    }
+    return url.href;
+  }
+
+  // "Draft"/"Scheduled" badge for unpublished posts shown in preview mode
+  createStatusBadge(post) {
+    const status = PostSchema.getStatus(post);
+    if (status === 'published') return '';
+
+    const label = status === 'draft' ? 'Draft' : `Scheduled for ${this.formatDate(post.date)}`;
+    return Utils.html`<span class="post-status-badge ${status}">${label}</span>`;
+  }
+
+  // "Read"/"In progress" marker from the progress ReadingProgress saved on the article page
+  createReadingMarker(post) {
+    const status = ReadingProgress.getStatus(post.id);
+    if (!status) return '';
+
+    const label = status === 'read' ? 'Read' : 'In progress';
+    return Utils.html`<span class="reading-marker ${status}">${label}</span>`;
+  }
+
+  // Find the post whose url points at the given page (defaults to the current page)
+  findPostByUrl(href = window.location.href) {
+    const { pathname } = new URL(href, window.location.href);
+    return this.blogPosts.find(post => new URL(this.resolveUrl(post.url)).pathname === pathname) || null;
+  }
+
+  // Restore the saved layout and handle clicks on the grid/archive buttons
+  setupViewToggle() {
+    const saved = Utils.getLocalStorage(this.options.viewStorageKey, 'grid');
+    this.viewMode = saved === 'archive' ? 'archive' : 'grid';
+
+    if (!this.viewToggle) return;
+
+    this.viewToggle.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-view]');
+      if (button) {
+        this.setViewMode(button.getAttribute('data-view'));
+      }
+    });
+  }
+
+  // Switch between the card grid and the archive list, keeping the active filters
+  setViewMode(mode) {
+    if (mode !== 'grid' && mode !== 'archive') return;
+    if (mode === this.viewMode) return;
+
+    this.viewMode = mode;
+    Utils.setLocalStorage(this.options.viewStorageKey, mode);
+    this.renderView();
+    Utils.announceToScreenReader(mode === 'archive' ? 'Showing archive list' : 'Showing post grid');
+  }
+
+  updateViewToggle() {
+    this.viewToggle.querySelectorAll('[data-view]').forEach(button => {
+      const isActive = button.getAttribute('data-view') === this.viewMode;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+    });
+  }
+
+  // Group posts newest first into [{ key, label, posts, months: [{ key, label, posts }] }]
+  groupPostsByDate(posts) {
+    const years = [];
+
+    [...posts].sort((a, b) => PostSchema.compareByDate(a, b)).forEach(post => {
+      const year = post.date.slice(0, 4);
+      const monthKey = post.date.slice(0, 7);
+
+      let yearGroup = years[years.length - 1];
+      if (!yearGroup || yearGroup.key !== year) {
+        yearGroup = { key: year, label: year, posts: [], months: [] };
+        years.push(yearGroup);
+      }
+
+      let monthGroup = yearGroup.months[yearGroup.months.length - 1];
+      if (!monthGroup || monthGroup.key !== monthKey) {
+        monthGroup = { key: monthKey, label: this.formatMonth(monthKey), posts: [] };
+        yearGroup.months.push(monthGroup);
+      }
+
+      yearGroup.posts.push(post);
+      monthGroup.posts.push(post);
+    });
+
+    return years;
+  }
+
+  // "2020-11" → "November"
+  formatMonth(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' });
+  }
+
+  // Render the filtered posts as a compact list grouped by year, then month
+  renderArchive() {
+    const archive = document.createElement('div');
+    archive.className = 'blog-archive';
+
+    this.groupPostsByDate(this.filteredPosts).forEach(yearGroup => {
+      const months = yearGroup.months.map(monthGroup => {
+        const list = document.createElement('ul');
+        list.className = 'archive-list';
+        Utils.render(list, Utils.html`${monthGroup.posts.map(post => this.createArchiveItem(post))}`);
+        return this.createArchiveGroup(monthGroup, 'month', list);
+      });
+
+      archive.appendChild(this.createArchiveGroup(yearGroup, 'year', ...months));
+    });
+
+    return archive;
+  }
+
+  // Collapsible <details> group; collapsed groups stay collapsed across re-renders
+  createArchiveGroup(group, level, ...children) {
+    const details = document.createElement('details');
+    details.className = `archive-group archive-${level}`;
+    details.open = !this.collapsedGroups.has(group.key);
+
+    const count = group.posts.length;
+    Utils.render(details, Utils.html`
+      <summary class="archive-summary">
+        <span class="archive-label">${group.label}</span>
+        <span class="archive-count">${count} ${count === 1 ? 'post' : 'posts'}</span>
+      </summary>
+    `);
+    details.append(...children);
+
+    details.addEventListener('toggle', () => {
+      if (details.open) {
+        this.collapsedGroups.delete(group.key);
+      } else {
+        this.collapsedGroups.add(group.key);
+      }
+    });
+
+    return details;
+  }
+
+  createArchiveItem(post) {
+    const match = this.searchMatches.get(post.id);
+    const title = match ? BlogSearch.highlight(post.title, match.terms) : post.title;
+    const readTime = this.getReadTime(post);
+
+    return Utils.html`
+      <li class="archive-item">
+        <time class="archive-date" datetime="${post.date}">${this.formatDate(post.date)}</time>
+        <a href="${this.getPostUrl(post)}" class="archive-link">${title}</a>
+        ${this.createStatusBadge(post)}
+        <span class="archive-meta">${post.category}${readTime ? ` · ${readTime}` : ''}</span>
+      </li>
+    `;
+  }
+
+  // Create a clickable card tag that toggles the matching tag filter
+  createTagButton(tag, label) {
+    const isActive = this.activeTags.has(tag);
+    return Utils.html`<button type="button" class="blog-tag${isActive ? ' active' : ''}" data-tag="${tag}"
+      aria-pressed="${String(isActive)}" title="Filter by tag ${tag}">${label}</button>`;
+  }
+
   // Format date for display
   formatDate(dateString) {
     const options = { 
@@ -232,35 +1108,70 @@ export class BlogManager {
   // Filter posts by category
   filterByCategory(category = 'all') {
     this.currentFilter = category;
-    this.currentPage = 1; // Reset to first page
-    
-    if (category === 'all') {
-      this.filteredPosts = [...this.blogPosts];
-    } else {
-      this.filteredPosts = this.blogPosts.filter(post => 
-        post.category.toLowerCase().replace(/\s+/g, '-') === category.toLowerCase()
-      );
-    }
-
-    this.renderBlogPosts();
+    this.refreshResults();
   }
 
   // Show empty state when no posts found
   showEmptyState() {
     if (!this.blogContainer) return;
 
-    this.blogContainer.innerHTML = `
+    if (this.loadError) {
+      this.showLoadError();
+      return;
+    }
+
+    const searchText = this.searchQuery ? ` matching "${this.searchQuery}"` : '';
+    const tagText = this.activeTags.size ?
+      ` tagged ${[...this.activeTags].join(this.tagMode === 'all' ? ' and ' : ' or ')}` : '';
+    const seriesText = this.activeSeries ? ` in the ${this.getSeriesTitle(this.activeSeries)} series` : '';
+    const categoryText = this.currentFilter !== 'all' ? ` in the ${this.currentFilter} category` : '';
+
+    Utils.render(this.blogContainer, Utils.html`
       <div class="empty-state">
         <div class="empty-state-icon">📝</div>
         <h3>No posts found</h3>
-        <p>No blog posts found${this.currentFilter !== 'all' ? ` in the ${this.currentFilter} category` : ''}.</p>
-        ${this.currentFilter !== 'all' ? 
-          `<button class="btn btn-primary" onclick="document.querySelector('[data-category=\"all\"]').click()">
-            Show All Posts
-          </button>` : ''
-        }
+        <p>No blog posts found${searchText}${tagText}${seriesText}${categoryText}.</p>
+        ${this.searchQuery && Utils.html`<button type="button" class="btn btn-secondary" data-action="clear-search">Clear Search</button>`}
+        ${this.activeTags.size > 0 && Utils.html`<button type="button" class="btn btn-secondary" data-action="clear-tags">Clear Tags</button>`}
+        ${this.activeSeries && Utils.html`<button type="button" class="btn btn-secondary" data-action="clear-series">Clear Series</button>`}
+        ${this.currentFilter !== 'all' && Utils.html`<button type="button" class="btn btn-primary" data-action="show-all">Show All Posts</button>`}
       </div>
-    `;
+    `);
+
+    const clearButton = this.blogContainer.querySelector('[data-action="clear-search"]');
+    if (clearButton) {
+      clearButton.addEventListener('click', () => this.clearSearch());
+    }
+
+    const clearTagsButton = this.blogContainer.querySelector('[data-action="clear-tags"]');
+    if (clearTagsButton) {
+      clearTagsButton.addEventListener('click', () => this.clearTags());
+    }
+
+    const clearSeriesButton = this.blogContainer.querySelector('[data-action="clear-series"]');
+    if (clearSeriesButton) {
+      clearSeriesButton.addEventListener('click', () => this.clearSeries());
+    }
+
+    const showAllButton = this.blogContainer.querySelector('[data-action="show-all"]');
+    if (showAllButton) {
+      showAllButton.addEventListener('click', () => this.filterByCategory('all'));
+    }
+  }
+
+  // Show an error with a retry button when posts.json could not be loaded
+  showLoadError() {
+    Utils.render(this.blogContainer, Utils.html`
+      <div class="empty-state">
+        <div class="empty-state-icon">⚠️</div>
+        <h3>Couldn't load blog posts</h3>
+        <p>Check your connection and try again.</p>
+        <button type="button" class="btn btn-primary" data-action="retry">Try Again</button>
+      </div>
+    `);
+
+    this.blogContainer.querySelector('[data-action="retry"]')
+      .addEventListener('click', () => this.reloadPosts());
   }
 
   // Render pagination controls
@@ -273,7 +1184,18 @@ export class BlogManager {
       existingPagination.remove();
     }
     
-    if (totalPages <= 1) return;
+    if (this.pagingObserver) {
+      this.pagingObserver.disconnect();
+      this.pagingObserver = null;
+    }
+
+    // The archive lists every matching post on one page
+    if (totalPages <= 1 || this.viewMode === 'archive') return;
+
+    if (this.getPagingStrategy() !== 'numbered') {
+      this.renderLoadMore(totalPages);
+      return;
+    }
 
     const paginationContainer = document.createElement('div');
     paginationContainer.className = 'blog-pagination';
@@ -338,6 +1260,7 @@ export class BlogManager {
     button.addEventListener('click', () => {
       this.currentPage = pageNumber;
       this.renderBlogPosts();
+      this.updateUrl();
       
       // Smooth scroll to top of blog section
       const blogSection = document.querySelector('.blog-content');
@@ -349,23 +1272,113 @@ export class BlogManager {
     return button;
   }
 
+  // 'numbered', 'load-more' or 'infinite'
+  getPagingStrategy() {
+    const strategies = ['numbered', 'load-more', 'infinite'];
+    const attribute = this.blogContainer && this.blogContainer.getAttribute('data-paging');
+    const strategy = attribute || this.options.paging;
+    return strategies.includes(strategy) ? strategy : 'numbered';
+  }
+
+  // "Load more" button, plus a sentinel that loads automatically in infinite mode
+  renderLoadMore(totalPages) {
+    if (this.currentPage >= totalPages) return;
+
+    const shown = Math.min(this.currentPage * this.postsPerPage, this.filteredPosts.length);
+    const container = document.createElement('div');
+    container.className = 'blog-pagination load-more';
+    Utils.render(container, Utils.html`
+      <button type="button" class="pagination-btn load-more-btn">Load more posts</button>
+      <p class="load-more-status">Showing ${shown} of ${this.filteredPosts.length} posts</p>
+    `);
+    container.querySelector('.load-more-btn').addEventListener('click', () => this.loadMore());
+
+    this.blogContainer.parentNode.appendChild(container);
+
+    // The button stays as a fallback for keyboard users and browsers without IntersectionObserver
+    if (this.getPagingStrategy() === 'infinite' && 'IntersectionObserver' in window) {
+      const sentinel = document.createElement('div');
+      sentinel.className = 'blog-sentinel';
+      sentinel.setAttribute('aria-hidden', 'true');
+      container.prepend(sentinel);
+
+      this.pagingObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          this.loadMore();
+        }
+      }, { rootMargin: '200px 0px' });
+      this.pagingObserver.observe(sentinel);
+    }
+  }
+
+  // Append the next page of cards without re-rendering the ones already shown
+  loadMore() {
+    const totalPages = Math.ceil(this.filteredPosts.length / this.postsPerPage);
+    if (this.currentPage >= totalPages) return;
+
+    const startIndex = this.currentPage * this.postsPerPage;
+    const newPosts = this.filteredPosts.slice(startIndex, startIndex + this.postsPerPage);
+
+    this.currentPage++;
+    this.appendBlogCards(newPosts);
+    this.renderPagination();
+
+    // Replace rather than push so Back leaves the blog instead of unloading pages one by one
+    this.updateUrl({ push: false });
+
+    const shown = startIndex + newPosts.length;
+    Utils.announceToScreenReader(
+      `Loaded ${newPosts.length} more ${newPosts.length === 1 ? 'post' : 'posts'}, showing ${shown} of ${this.filteredPosts.length}`
+    );
+  }
+
+  // Remember the scroll position in the history entry and restore it when coming back,
+  // since the posts load asynchronously after the browser's own restoration has run
+  setupScrollRestoration() {
+    window.addEventListener('pagehide', () => {
+      history.replaceState({ ...history.state, blogScrollY: window.scrollY }, '');
+    });
+
+    const scrollY = history.state && history.state.blogScrollY;
+    if (scrollY) {
+      requestAnimationFrame(() => window.scrollTo(0, scrollY));
+    }
+  }
+
   // Add new blog post (for future use)
   async addNewPost(postData) {
-    // Validate post data
-    const requiredFields = ['id', 'title', 'excerpt', 'date', 'category', 'url'];
-    const missingFields = requiredFields.filter(field => !postData[field]);
-    
-    if (missingFields.length > 0) {
-      throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
+    // Validate and normalize post data with the same schema as posts.json
+    const { post, errors } = PostSchema.validatePost(postData);
+
+    // Compare the normalized id, so " data-ethics " can't slip past as a second data-ethics
+    if (post && this.blogPosts.some(existing => existing.id === post.id)) {
+      errors.push(PostSchema.createError(null, post.id, 'id', 'duplicate id, already used by a loaded post'));
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid post: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+    }
+
+    if (!this.isVisible(post)) {
+      console.log(`📄 Not showing draft or scheduled post: ${post.title}`);
+      return;
+    }
+
+    // Add to posts array, keeping newest first
+    this.blogPosts.push(this.applyReadingTime(post));
+    this.blogPosts.sort((a, b) => PostSchema.compareByDate(a, b));
+
+    if (this.search) {
+      this.search.setPosts(this.blogPosts);
     }
 
-    // Add to posts array
-    this.blogPosts.unshift(postData); // Add to beginning (newest first)
+    // A new post may introduce a new category
+    this.renderFilters();
     
     // Update filtered posts if current filter includes this post
     this.filterByCategory(this.currentFilter);
     
-    console.log(`✅ Added new blog post: ${postData.title}`);
+    console.log(`✅ Added new blog post: ${post.title}`);
   }
 
   // Get blog statistics
@@ -379,6 +1392,12 @@ export class BlogManager {
       totalPages,
       categories,
       currentFilter: this.currentFilter,
+      searchQuery: this.searchQuery,
+      activeTags: [...this.activeTags],
+      tagMode: this.tagMode,
+      activeSeries: this.activeSeries,
+      sortOrder: this.getActiveSort(),
+      viewMode: this.viewMode,
       currentPage: this.currentPage,
       filteredCount: this.filteredPosts.length
     };
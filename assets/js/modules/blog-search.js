@@ -0,0 +1,187 @@
+// Blog Search Module - Ranked full-text search over blog posts
+// Matches whole words, word prefixes and near-miss spellings across weighted fields
+
+import { Utils } from './utils.js';
+
+export class BlogSearch {
+  constructor(posts = [], options = {}) {
+    this.options = {
+      // Relative weight of a match in each post field
+      fields: {
+        title: 3,
+        tags: 2,
+        category: 1.5,
+        excerpt: 1
+      },
+      minPrefixLength: 2,
+      ...options
+    };
+    this.index = [];
+    this.setPosts(posts);
+  }
+
+  // Build the token index for a list of posts
+  setPosts(posts) {
+    this.index = posts.map((post, order) => ({
+      post,
+      order,
+      fields: this.tokenizePost(post)
+    }));
+  }
+
+  // Tokenize each searchable field of a post
+  tokenizePost(post) {
+    const fields = {};
+
+    Object.keys(this.options.fields).forEach(field => {
+      const value = Array.isArray(post[field]) ? post[field].join(' ') : post[field];
+      fields[field] = BlogSearch.tokenize(value);
+    });
+
+    return fields;
+  }
+
+  // Search the index, returning [{ post, score, terms }] sorted by relevance
+  search(query) {
+    const queryTerms = Utils.uniqueArray(BlogSearch.tokenize(query));
+    if (!queryTerms.length) return [];
+
+    const results = [];
+
+    this.index.forEach(entry => {
+      let score = 0;
+      const terms = new Set();
+
+      // Every query term has to match somewhere in the post
+      const matchesAll = queryTerms.every(queryTerm => {
+        const termScore = this.scoreTerm(queryTerm, entry.fields, terms);
+        score += termScore;
+        return termScore > 0;
+      });
+
+      if (matchesAll) {
+        results.push({ post: entry.post, score, terms, order: entry.order });
+      }
+    });
+
+    // Highest score first; ties keep the original (date) order
+    results.sort((a, b) => b.score - a.score || a.order - b.order);
+
+    return results.map(({ post, score, terms }) => ({ post, score, terms }));
+  }
+
+  // Score one query term against every field, collecting the matched tokens
+  scoreTerm(queryTerm, fields, matchedTerms) {
+    let score = 0;
+
+    Object.entries(fields).forEach(([field, tokens]) => {
+      let best = 0;
+
+      tokens.forEach(token => {
+        const quality = this.matchQuality(queryTerm, token);
+        if (quality > 0) {
+          matchedTerms.add(token);
+          best = Math.max(best, quality);
+        }
+      });
+
+      score += best * this.options.fields[field];
+    });
+
+    return score;
+  }
+
+  // How well a query term matches a token: 1 exact, less for prefixes and typos
+  matchQuality(queryTerm, token) {
+    if (queryTerm === token) return 1;
+
+    if (queryTerm.length >= this.options.minPrefixLength && token.startsWith(queryTerm)) {
+      return 0.8;
+    }
+
+    const allowed = BlogSearch.allowedTypos(queryTerm);
+    if (!allowed) return 0;
+
+    if (BlogSearch.editDistance(queryTerm, token, allowed) <= allowed) {
+      return 0.6;
+    }
+
+    // Typo inside a word that is still being typed
+    if (token.length > queryTerm.length &&
+        BlogSearch.editDistance(queryTerm, token.slice(0, queryTerm.length), allowed) <= allowed) {
+      return 0.4;
+    }
+
+    return 0;
+  }
+
+  // Wrap matched words of a text in <mark>, escaping everything else; returns Utils.html markup
+  static highlight(text, terms) {
+    if (!terms || !terms.size) return Utils.html`${text || ''}`;
+
+    const parts = String(text || '')
+      .split(/([\p{L}\p{N}]+)/u)
+      .map(part => {
+        const token = BlogSearch.normalize(part);
+        return token && terms.has(token) ? Utils.html`<mark class="search-highlight">${part}</mark>` : part;
+      });
+
+    return Utils.html`${parts}`;
+  }
+
+  // Split text into lowercase, accent-free word tokens
+  static tokenize(text) {
+    if (!text) return [];
+    return BlogSearch.normalize(text)
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+  }
+
+  // Lowercase and strip diacritics so "Café" matches "cafe"
+  static normalize(text) {
+    return String(text)
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+
+  // Number of typos tolerated for a term of this length
+  static allowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+  }
+
+  // Optimal string alignment distance (Levenshtein plus transpositions)
+  static editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const nextRow = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+
+        nextRow[j] = value;
+        rowMin = Math.min(rowMin, value);
+      }
+
+      // Every path through this row is already too expensive
+      if (rowMin > max) return max + 1;
+
+      previousRow = row;
+      row = nextRow;
+    }
+
+    return row[b.length];
+  }
+}
@@ -1,14 +1,80 @@
 // Component Loader Module - Dynamically loads HTML components
 // Enables modular HTML architecture with reusable components
 
+import { DataCache } from './data-cache.js';
+import { Utils } from './utils.js';
+
+// Attributes holding URLs that are rebased when a component is inserted
+const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'poster', 'action'];
+
+// {{name}} or {{author.name}} in component markup
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Init hooks by component name, shared by every loader: [{ init, order }] in run order
+const initHooks = new Map();
+
+// Component modules by URL, so each is imported and registered once
+const moduleImports = new Map();
+
+// Site root: a <meta name="site-base" content="..."> wins, otherwise the folder above assets/
+function getSiteBase() {
+  const meta = document.querySelector('meta[name="site-base"]');
+  const base = meta && meta.content ?
+    new URL(meta.content, document.baseURI) :
+    new URL('../../../', import.meta.url);
+
+  if (!base.pathname.endsWith('/')) base.pathname += '/';
+  return base.href;
+}
+
 export class ComponentLoader {
-  constructor() {
+  constructor(options = {}) {
+    this.options = {
+      // Persistent cache shared across page views; this.cache only lives for the current page
+      dataCache: DataCache.shared,
+      // components/ and the links inside components resolve against this, whatever page loads them
+      baseUrl: getSiteBase(),
+      timeout: 5000,
+      // Network errors, timeouts and 5xx responses are retried with exponential backoff and jitter
+      retries: 2,
+      retryDelay: 500,
+      maxRetryDelay: 4000,
+      // How deeply components may include other components
+      maxDepth: 10,
+      // Props every component can use; data-props and loadComponent props override them
+      props: {
+        year: new Date().getFullYear()
+      },
+      ...options
+    };
     this.cache = new Map();
     this.loadingComponents = new Map();
+    // In-flight fetches by component name, so repeated includes share one request
+    this.pendingFetches = new Map();
+    // Each host's original children, kept to fill slots again when the component is reloaded
+    this.slotContent = new WeakMap();
   }
 
-  // Load a component into a target element
-  async loadComponent(componentName, targetSelector) {
+  // Run init(target, context) every time componentName is inserted, cached or not.
+  // Hooks may be async; they run one after another, lowest order first, then in registration order.
+  // Returns a function that removes the hook.
+  static defineInit(componentName, init, { order = 0 } = {}) {
+    if (typeof init !== 'function') {
+      throw new Error(`Init hook for ${componentName} must be a function`);
+    }
+
+    const hook = { init, order };
+    const hooks = [...(initHooks.get(componentName) || []), hook];
+    // Array sort is stable, so equal orders keep registration order
+    initHooks.set(componentName, hooks.sort((a, b) => a.order - b.order));
+
+    return () => {
+      initHooks.set(componentName, initHooks.get(componentName).filter(entry => entry !== hook));
+    };
+  }
+
+  // Load a component into a target element, e.g. loadComponent('footer', '#footer-component', { tagline })
+  async loadComponent(componentName, targetSelector, props = {}) {
     try {
       const target = document.querySelector(targetSelector);
       if (!target) {
@@ -22,15 +88,15 @@ export class ComponentLoader {
       }
 
       // Create loading promise
-      const loadingPromise = this._loadComponentInternal(componentName, target);
+      const loadingPromise = this._loadComponentInternal(componentName, target, { props });
       this.loadingComponents.set(loadingKey, loadingPromise);
 
-      const result = await loadingPromise;
-      
-      // Clean up loading state
-      this.loadingComponents.delete(loadingKey);
-      
-      return result;
+      try {
+        return await loadingPromise;
+      } finally {
+        // Clean up loading state, after a failure too so the component can be loaded again
+        this.loadingComponents.delete(loadingKey);
+      }
 
     } catch (error) {
       console.error(`Failed to load component ${componentName}:`, error);
@@ -38,69 +104,295 @@ export class ComponentLoader {
     }
   }
 
-  // Internal component loading logic
-  async _loadComponentInternal(componentName, target) {
-    try {
-      // Check cache first
-      if (this.cache.has(componentName)) {
-        const cachedHtml = this.cache.get(componentName);
-        this._insertComponent(target, cachedHtml);
-        return { success: true, fromCache: true };
-      }
+  // Resolve every data-include element under root, then the includes inside those components.
+  // Fires a single components:ready event on root once the whole tree has settled.
+  async loadIncludes(root = document, { chain = [] } = {}) {
+    const hosts = Array.from(root.querySelectorAll('[data-include]'))
+      .filter(host => !host.hasAttribute('data-include-state') && this._isOutermostInclude(host, root));
+
+    const results = await Promise.all(hosts.map(host => this._loadInclude(host, chain)));
+    const summary = results.reduce((all, result) => ({
+      loaded: [...all.loaded, ...result.loaded],
+      failed: [...all.failed, ...result.failed]
+    }), { loaded: [], failed: [] });
 
-      // Fetch component HTML
-      const componentPath = `components/${componentName}.html`;
-      const html = await this._fetchWithTimeout(componentPath);
+    if (!chain.length) {
+      root.dispatchEvent(new CustomEvent('components:ready', { detail: summary }));
+      console.log(`✅ Components ready: ${summary.loaded.length} loaded, ${summary.failed.length} failed`);
+    }
 
-      // Cache the component
-      this.cache.set(componentName, html);
+    return summary;
+  }
 
-      // Insert component into target
-      this._insertComponent(target, html);
+  // Includes inside another pending include are replaced when it loads, so leave them for later
+  _isOutermostInclude(host, root) {
+    const parentHost = host.parentElement && host.parentElement.closest('[data-include]');
+    return !parentHost || parentHost === root || !root.contains(parentHost);
+  }
 
-      // Initialize component-specific functionality
-      await this._initializeComponent(componentName, target);
-      
-      console.log(`✅ Component loaded: ${componentName}`);
-      return { success: true, fromCache: false };
+  // Load one data-include host; failures are reported rather than thrown so siblings still load
+  async _loadInclude(host, chain) {
+    const componentName = host.getAttribute('data-include');
+    host.setAttribute('data-include-state', 'loading');
 
+    try {
+      const result = await this._loadComponentInternal(componentName, host, { chain });
+      host.setAttribute('data-include-state', 'loaded');
+      return { loaded: [componentName, ...result.nested.loaded], failed: result.nested.failed };
     } catch (error) {
+      host.setAttribute('data-include-state', 'error');
+      console.error(`❌ Failed to include component ${componentName}:`, error);
+      return { loaded: [], failed: [{ name: componentName, host, error }] };
+    }
+  }
+
+  // Internal component loading logic; chain lists the components that include this one.
+  // Props passed in override the target's data-props, which override the loader's defaults.
+  async _loadComponentInternal(componentName, target, { chain = [], props = {} } = {}) {
+    // Check cache first
+    const fromCache = this.cache.has(componentName);
+    let html;
+    let allProps;
+    try {
+      this._checkInclude(componentName, chain);
+      allProps = { ...this.options.props, ...this._parseProps(target, componentName), ...props };
+      html = fromCache ? this.cache.get(componentName) : await this._fetchComponent(componentName);
+    } catch (error) {
+      // Every failure shows the fallback markup and fires component:error
+      this._handleLoadError(componentName, target, error);
       throw error;
     }
+
+    // Insert component into target, then move the host's own children into its slots
+    const slotted = this._takeSlotContent(target);
+    const markup = this._interpolate(html, allProps, componentName);
+    this._insertComponent(target, this._resolveUrls(markup));
+    const modules = this._takeModuleScripts(target);
+    this._fillSlots(target, slotted);
+
+    // Components can include other components
+    const nested = await this.loadIncludes(target, { chain: [...chain, componentName] });
+
+    // Initialize component-specific functionality once the component is complete
+    await Promise.all(modules.map(url => this._importModule(url, componentName)));
+    await this._runInitHooks(componentName, target, { props: allProps, fromCache });
+
+    console.log(`✅ Component loaded: ${componentName}${fromCache ? ' (cached)' : ''}`);
+    return { success: true, fromCache, nested };
   }
 
-  // Fetch HTML with timeout
-  async _fetchWithTimeout(url, timeout = 5000) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+  // Props from the target's data-props: <div data-include="footer" data-props='{"tagline": "Thanks for reading"}'>
+  _parseProps(host, componentName) {
+    const json = host.getAttribute('data-props');
+    if (!json) return {};
 
+    let props;
     try {
-      const response = await fetch(url, {
-        signal: controller.signal,
-        cache: 'default'
+      props = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid data-props for ${componentName}: ${error.message}`);
+    }
+
+    if (!props || typeof props !== 'object' || Array.isArray(props)) {
+      throw new Error(`data-props for ${componentName} must be a JSON object`);
+    }
+    return props;
+  }
+
+  // Fill {{placeholders}} through Utils.html, so props are escaped and URL props are made safe.
+  // Utils.html() and Utils.raw() props are inserted as markup.
+  _interpolate(html, props, componentName) {
+    // split() with a capture group alternates literal markup and placeholder names
+    const parts = html.split(PLACEHOLDER_PATTERN);
+    const strings = parts.filter((part, index) => index % 2 === 0);
+    const values = parts
+      .filter((part, index) => index % 2 === 1)
+      .map(name => {
+        const value = name.split('.').reduce((object, key) => (object === null || object === undefined ? undefined : object[key]), props);
+        if (value === undefined) {
+          console.warn(`⚠️ Component ${componentName} has no prop for {{${name}}}`);
+        }
+        return value;
       });
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+    return Utils.html(strings, ...values).toString();
+  }
 
-      const html = await response.text();
-      return html;
+  // Detach the host's children, grouped by the slot they name ('' for the default slot).
+  // The first load's children are kept, since later loads find the component's markup in the host.
+  _takeSlotContent(target) {
+    if (this.slotContent.has(target)) return this.slotContent.get(target);
 
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error(`Component fetch timeout: ${url}`);
+    const slotted = new Map();
+    Array.from(target.childNodes).forEach(node => {
+      const isElement = node.nodeType === Node.ELEMENT_NODE;
+      // Fallback markup, comments and blank text aren't slot content
+      if (isElement && node.matches('template[data-fallback]')) return;
+      if (!isElement && !(node.nodeType === Node.TEXT_NODE && node.textContent.trim())) return;
+
+      const name = (isElement && node.getAttribute('slot')) || '';
+      if (!slotted.has(name)) slotted.set(name, []);
+      slotted.get(name).push(node);
+    });
+
+    this.slotContent.set(target, slotted);
+    return slotted;
+  }
+
+  // Replace each <slot name="..."> with the host content for it, or with the slot's own fallback markup
+  _fillSlots(target, slotted) {
+    target.querySelectorAll('slot').forEach(slot => {
+      const content = slotted.get(slot.getAttribute('name') || '');
+      const nodes = content ? content.map(node => node.cloneNode(true)) : Array.from(slot.childNodes);
+      slot.replaceWith(...nodes);
+    });
+  }
+
+  // Reject bad names, include cycles and runaway nesting before fetching anything
+  _checkInclude(componentName, chain) {
+    const path = [...chain, componentName].join(' → ');
+
+    if (!/^[\w-]+(\/[\w-]+)*$/.test(componentName || '')) {
+      throw new Error(`Invalid component name: "${componentName}"`);
+    }
+    if (chain.includes(componentName)) {
+      throw new Error(`Component include cycle: ${path}`);
+    }
+    if (chain.length >= this.options.maxDepth) {
+      throw new Error(`Component includes nested deeper than ${this.options.maxDepth}: ${path}`);
+    }
+  }
+
+  // Fetch component HTML once per name; a stored copy is used at once and refreshed in the background.
+  // A newer copy shows up on the next page view, since re-inserting would reset the header.
+  _fetchComponent(componentName) {
+    if (this.pendingFetches.has(componentName)) {
+      return this.pendingFetches.get(componentName);
+    }
+
+    const fetching = this._fetchWithRetry(componentName)
+      .then(html => {
+        this.cache.set(componentName, html);
+        return html;
+      })
+      .finally(() => this.pendingFetches.delete(componentName));
+
+    this.pendingFetches.set(componentName, fetching);
+    return fetching;
+  }
+
+  // A stored copy needs no network, so the first attempt always goes ahead.
+  // After that, only retry failures that may clear up, and only while the browser is online.
+  async _fetchWithRetry(componentName) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.options.dataCache.get(this._getComponentPath(componentName), {
+          timeout: this.options.timeout,
+          onUpdate: freshHtml => this.cache.set(componentName, freshHtml)
+        });
+      } catch (error) {
+        error.attempts = attempt;
+        if (attempt > this.options.retries || !navigator.onLine || !this._isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this._getRetryDelay(attempt);
+        console.warn(`⚠️ Component ${componentName} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
-      throw error;
-    } finally {
-      clearTimeout(timeoutId);
     }
   }
 
+  // Network errors and timeouts have no status; a missing component (404) won't appear by retrying
+  _isRetryable(error) {
+    return !error.status || error.status >= 500 || error.status === 408 || error.status === 429;
+  }
+
+  // Exponential backoff with jitter: half the delay is fixed, the other half random
+  _getRetryDelay(attempt) {
+    const delay = Math.min(this.options.maxRetryDelay, this.options.retryDelay * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  // Show the host's <template data-fallback> markup and report the failure with a component:error event
+  _handleLoadError(componentName, target, error) {
+    // Keep the host's children for the slots in case a later load succeeds
+    this._takeSlotContent(target);
+
+    const fallback = target.querySelector(':scope > template[data-fallback]');
+    if (fallback) {
+      // The template stays in the host, so a later failure can use it again
+      target.replaceChildren(fallback, fallback.content.cloneNode(true));
+    }
+
+    target.dispatchEvent(new CustomEvent('component:error', {
+      bubbles: true,
+      detail: {
+        componentName,
+        target,
+        error,
+        attempts: error.attempts || 1,
+        online: navigator.onLine,
+        fallback: Boolean(fallback)
+      }
+    }));
+  }
+
+  _getComponentPath(componentName) {
+    return this.resolveUrl(`components/${componentName}.html`);
+  }
+
+  // Resolve a site-relative URL against the site base; absolute, root and fragment URLs are kept
+  resolveUrl(url) {
+    if (!url || /^(?:[a-z][a-z\d+.-]*:|#|\/)/i.test(url)) return url;
+    return new URL(url, this.options.baseUrl).href;
+  }
+
+  // Components are written relative to the site root, like the top-level pages.
+  // Rebase their links and images so the same markup works from pages/ or a GitHub Pages subpath.
+  _resolveUrls(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const selector = URL_ATTRIBUTES.map(name => `[${name}]`).join(', ');
+    template.content.querySelectorAll(selector).forEach(element => {
+      URL_ATTRIBUTES.forEach(name => {
+        if (!element.hasAttribute(name)) return;
+
+        const value = element.getAttribute(name);
+        element.setAttribute(name, name === 'srcset' ?
+          this._resolveSrcset(value) :
+          this.resolveUrl(value.trim()));
+      });
+    });
+
+    return template.innerHTML;
+  }
+
+  // "a.jpg 1x, b.jpg 2x": rebase each candidate URL and keep its descriptor
+  _resolveSrcset(srcset) {
+    return srcset
+      .split(',')
+      .map(candidate => {
+        const [url, ...descriptors] = candidate.trim().split(/\s+/);
+        return [this.resolveUrl(url), ...descriptors].join(' ');
+      })
+      .join(', ');
+  }
+
+  // Drop a component from both caches so the next load fetches it again
+  async invalidate(componentName) {
+    this.cache.delete(componentName);
+    return this.options.dataCache.invalidate(this._getComponentPath(componentName));
+  }
+
   // Insert component HTML into target element
   _insertComponent(target, html) {
-    // Clear existing content and insert new content
-    target.innerHTML = html;
+    // Clear existing content and insert new content; components are the site's own markup.
+    // The fallback template stays in the host, so a later failed reload can still show it.
+    const fallback = target.querySelector(':scope > template[data-fallback]');
+    Utils.render(target, Utils.raw(html));
+    if (fallback) target.prepend(fallback);
 
     // Dispatch custom event
     const event = new CustomEvent('component:loaded', {
@@ -109,73 +401,40 @@ export class ComponentLoader {
     target.dispatchEvent(event);
   }
 
-  // Initialize component-specific functionality
-  async _initializeComponent(componentName, target) {
-    switch (componentName) {
-      case 'header':
-        this._initHeaderComponent(target);
-        break;
-      case 'footer':
-        this._initFooterComponent(target);
-        break;
-    }
+  // A component declares its own module with <script type="module" src="components/name.js">.
+  // Scripts inserted as HTML never run, so take them out and import them instead.
+  _takeModuleScripts(target) {
+    return Array.from(target.querySelectorAll('script[type="module"][src]')).map(script => {
+      script.remove();
+      return script.src;
+    });
   }
 
-  // Initialize header component
-  _initHeaderComponent(target) {
-    // Set up ARIA attributes for mobile menu
-    const toggle = target.querySelector('.navbar-toggle');
-    const menu = target.querySelector('.navbar-menu');
-    
-    if (toggle && menu) {
-      toggle.setAttribute('aria-controls', 'navbar-menu');
-      toggle.setAttribute('aria-expanded', 'false');
+  // Import a component module once; its default export becomes an init hook for the component
+  _importModule(url, componentName) {
+    if (!moduleImports.has(url)) {
+      moduleImports.set(url, import(url)
+        .then(module => {
+          if (typeof module.default === 'function') {
+            ComponentLoader.defineInit(componentName, module.default);
+          }
+        })
+        .catch(error => console.error(`❌ Failed to import module for component ${componentName}:`, error)));
     }
 
-    // Add scroll listener for header styling
-    this._setupHeaderScrollEffect(target);
-  }
-
-  // Initialize footer component
-  _initFooterComponent(target) {
-    // Update copyright year
-    const yearElement = target.querySelector('#current-year');
-    if (yearElement) {
-      yearElement.textContent = new Date().getFullYear();
-    }
+    return moduleImports.get(url);
   }
 
-  // Set up header scroll effect
-  _setupHeaderScrollEffect(headerTarget) {
-    let lastScrollY = window.scrollY;
-    
-    const handleScroll = () => {
-      const currentScrollY = window.scrollY;
-      const header = headerTarget.querySelector('.site-header');
-      
-      if (!header) return;
-
-      if (currentScrollY > 100) {
-        header.classList.add('scrolled');
-      } else {
-        header.classList.remove('scrolled');
-      }
+  // Run the component's init hooks in order; a failing hook is logged and the rest still run
+  async _runInitHooks(componentName, target, { props, fromCache }) {
+    const hooks = initHooks.get(componentName) || [];
 
-      // Hide/show header on scroll
-      if (currentScrollY > lastScrollY && currentScrollY > 200) {
-        header.style.transform = 'translateY(-100%)';
-      } else {
-        header.style.transform = 'translateY(0)';
+    for (const { init } of hooks) {
+      try {
+        await init(target, { componentName, props, fromCache, loader: this });
+      } catch (error) {
+        console.error(`❌ Init hook for component ${componentName} failed:`, error);
       }
-
-      lastScrollY = currentScrollY;
-    };
-
-    // Throttled scroll listener
-    let scrollTimeout;
-    window.addEventListener('scroll', () => {
-      clearTimeout(scrollTimeout);
-      scrollTimeout = setTimeout(handleScroll, 10);
-    });
+    }
   }
-}
\ No newline at end of file
+}
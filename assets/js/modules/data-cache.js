@@ -0,0 +1,198 @@
+// Data Cache Module - Stale-while-revalidate fetching for posts.json and components
+// Serves the stored copy at once and refreshes it in the background with ETag/Last-Modified
+
+import { Utils } from './utils.js';
+
+const CACHE_NAME = 'mitch-portfolio-data-v1';
+const STORAGE_PREFIX = 'mitch-portfolio-cache:';
+
+let sharedCache = null;
+
+export class DataCache {
+  constructor(options = {}) {
+    this.options = {
+      // Cache API when available, otherwise localStorage
+      storage: 'caches' in window ? 'cache-api' : 'local-storage',
+      timeout: 5000,
+      ...options
+    };
+    // One background revalidation per URL per page view
+    this.revalidations = new Map();
+  }
+
+  // Instance shared by BlogManager and ComponentLoader
+  static get shared() {
+    if (!sharedCache) sharedCache = new DataCache();
+    return sharedCache;
+  }
+
+  // Fetch a URL as 'text' or 'json', answering from the cache when possible.
+  // onUpdate(data) is called if the background revalidation finds newer content.
+  async get(url, { type = 'text', onUpdate = null, timeout = this.options.timeout } = {}) {
+    const key = this.getKey(url);
+    const entry = await this.readEntry(key);
+
+    if (entry) {
+      this.revalidate(key, entry, { type, onUpdate, timeout });
+      return this.parse(entry.body, type);
+    }
+
+    const fresh = await this.fetchEntry(key, null, timeout);
+    await this.writeEntry(key, fresh);
+    return this.parse(fresh.body, type);
+  }
+
+  // Refresh a cached entry in the background; failures keep the cached copy (e.g. offline)
+  revalidate(key, entry, { type, onUpdate, timeout }) {
+    if (this.revalidations.has(key)) return this.revalidations.get(key);
+
+    const revalidation = this.fetchEntry(key, entry, timeout)
+      .then(async fresh => {
+        await this.writeEntry(key, fresh);
+
+        if (fresh.body === entry.body) return false;
+
+        console.log(`🔄 Cached copy refreshed: ${key}`);
+        if (onUpdate) onUpdate(this.parse(fresh.body, type));
+        return true;
+      })
+      .catch(error => {
+        console.warn(`⚠️ Could not revalidate ${key}, using cached copy:`, error.message);
+        return false;
+      });
+
+    this.revalidations.set(key, revalidation);
+    return revalidation;
+  }
+
+  // Conditional request; a 304 keeps the stored body and just renews the timestamp
+  async fetchEntry(key, entry, timeout) {
+    const headers = {};
+    if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      // no-store keeps the browser's HTTP cache from answering the conditional request itself
+      const response = await fetch(key, { headers, cache: 'no-store', signal: controller.signal });
+
+      if (response.status === 304 && entry) {
+        return { ...entry, storedAt: Date.now() };
+      }
+
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return {
+        body: await response.text(),
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        storedAt: Date.now()
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Fetch timeout: ${key}`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Remove one cached URL, e.g. after publishing new posts
+  async invalidate(url) {
+    const key = this.getKey(url);
+    this.revalidations.delete(key);
+
+    if (this.options.storage === 'cache-api') {
+      try {
+        const cache = await caches.open(CACHE_NAME);
+        return await cache.delete(key);
+      } catch (error) {
+        console.warn('⚠️ Cache API unavailable:', error.message);
+      }
+    }
+
+    return Utils.removeLocalStorage(STORAGE_PREFIX + key);
+  }
+
+  // Remove every cached URL
+  async clear() {
+    this.revalidations.clear();
+
+    if (this.options.storage === 'cache-api') {
+      try {
+        return await caches.delete(CACHE_NAME);
+      } catch (error) {
+        console.warn('⚠️ Cache API unavailable:', error.message);
+      }
+    }
+
+    try {
+      Object.keys(localStorage)
+        .filter(name => name.startsWith(STORAGE_PREFIX))
+        .forEach(name => Utils.removeLocalStorage(name));
+      return true;
+    } catch (error) {
+      console.warn('LocalStorage not available:', error);
+      return false;
+    }
+  }
+
+  // Entries are keyed by absolute URL so relative paths from any page share them
+  getKey(url) {
+    return new URL(url, document.baseURI).href;
+  }
+
+  parse(body, type) {
+    return type === 'json' ? JSON.parse(body) : body;
+  }
+
+  // { body, etag, lastModified, storedAt } or null
+  async readEntry(key) {
+    if (this.options.storage === 'cache-api') {
+      try {
+        const cache = await caches.open(CACHE_NAME);
+        const response = await cache.match(key);
+        if (!response) return null;
+
+        return {
+          body: await response.text(),
+          etag: response.headers.get('ETag'),
+          lastModified: response.headers.get('Last-Modified'),
+          storedAt: Number(response.headers.get('X-Stored-At')) || 0
+        };
+      } catch (error) {
+        // e.g. file:// pages or private browsing; localStorage still works there
+        console.warn('⚠️ Cache API unavailable, falling back to localStorage:', error.message);
+        this.options.storage = 'local-storage';
+      }
+    }
+
+    return Utils.getLocalStorage(STORAGE_PREFIX + key);
+  }
+
+  async writeEntry(key, entry) {
+    if (this.options.storage === 'cache-api') {
+      try {
+        const headers = { 'X-Stored-At': String(entry.storedAt) };
+        if (entry.etag) headers.ETag = entry.etag;
+        if (entry.lastModified) headers['Last-Modified'] = entry.lastModified;
+
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(key, new Response(entry.body, { headers }));
+        return true;
+      } catch (error) {
+        console.warn('⚠️ Cache API unavailable, falling back to localStorage:', error.message);
+        this.options.storage = 'local-storage';
+      }
+    }
+
+    return Utils.setLocalStorage(STORAGE_PREFIX + key, entry);
+  }
+}
@@ -146,15 +146,17 @@ export class Navigation {
     }
   }
 
-  // Set active navigation link based on current page
+  // Set active navigation link based on current page.
+  // Pages outside the menu, like articles, name their section with <body data-nav-page="blog">.
   setActiveNavLink() {
-    const currentPage = window.location.pathname.split('/').pop() || 'index.html';
+    const navPage = document.body.getAttribute('data-nav-page');
+    const currentPath = this.normalizePath(window.location.pathname);
     
     this.navLinks.forEach(link => {
-      const href = link.getAttribute('href');
-      const isActive = href === currentPage || 
-                      (currentPage === '' && href === 'index.html') ||
-                      (currentPage === 'index.html' && href === 'index.html');
+      // Header links are resolved against the site base, so compare full paths
+      const isActive = navPage ?
+        link.getAttribute('data-page') === navPage :
+        this.normalizePath(link.pathname) === currentPath;
       
       link.classList.toggle('active', isActive);
       
@@ -165,4 +167,9 @@ export class Navigation {
       }
     });
   }
+
+  // "/portfolio/" and "/portfolio/index.html" are the same page
+  normalizePath(pathname) {
+    return pathname.endsWith('/') ? `${pathname}index.html` : pathname;
+  }
 }
\ No newline at end of file
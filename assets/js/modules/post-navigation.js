@@ -0,0 +1,121 @@
+// Post Navigation Module - Older/newer post links at the end of an article
+// Follows BlogManager's date order; left/right arrow keys move between posts
+
+import { Utils } from './utils.js';
+
+export class PostNavigation {
+  constructor(blogManager, options = {}) {
+    this.blogManager = blogManager;
+    this.options = {
+      // Only step through posts in the current post's category
+      sameCategory: false,
+      keyboardShortcuts: true,
+      ...options
+    };
+    this.nav = null;
+    this.links = { older: null, newer: null };
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  // Render the navigation for the current article
+  init() {
+    const article = document.querySelector('.blog-post');
+    const currentPost = this.blogManager.findPostByUrl();
+
+    if (!article || !currentPost) {
+      console.warn('⚠️ Post navigation: current article not found in posts.json');
+      return;
+    }
+
+    this.links = this.getAdjacentPosts(currentPost, this.isSameCategory(article));
+    if (!this.links.older && !this.links.newer) return;
+
+    this.nav = this.render(this.links);
+
+    const postContent = article.querySelector('.post-content');
+    if (postContent) {
+      postContent.after(this.nav);
+    } else {
+      article.appendChild(this.nav);
+    }
+
+    if (this.options.keyboardShortcuts) {
+      document.addEventListener('keydown', this.handleKeydown);
+    }
+
+    console.log(`✅ Post navigation rendered for ${currentPost.id}`);
+  }
+
+  // A data-nav-scope="category" attribute on the article overrides the option
+  isSameCategory(article) {
+    const scope = article.getAttribute('data-nav-scope');
+    return scope ? scope === 'category' : this.options.sameCategory;
+  }
+
+  // Posts either side of the current one; blogPosts is sorted newest first
+  getAdjacentPosts(currentPost, sameCategory = this.options.sameCategory) {
+    const posts = sameCategory ?
+      this.blogManager.blogPosts.filter(post => post.category === currentPost.category) :
+      this.blogManager.blogPosts;
+
+    const index = posts.findIndex(post => post.id === currentPost.id);
+
+    return {
+      older: posts[index + 1] || null,
+      newer: index > 0 ? posts[index - 1] : null
+    };
+  }
+
+  render({ older, newer }) {
+    const nav = document.createElement('nav');
+    nav.className = 'post-nav';
+    nav.setAttribute('aria-label', 'More posts');
+    Utils.render(nav, Utils.html`
+      <div class="container">
+        ${older && this.createLink(older, 'older')}
+        ${newer && this.createLink(newer, 'newer')}
+      </div>
+    `);
+    return nav;
+  }
+
+  createLink(post, direction) {
+    const isOlder = direction === 'older';
+
+    return Utils.html`
+      <a href="${this.blogManager.getPostUrl(post)}" class="post-nav-link ${direction}"
+        rel="${isOlder ? 'prev' : 'next'}" aria-keyshortcuts="${isOlder ? 'ArrowLeft' : 'ArrowRight'}">
+        <span class="post-nav-label">${isOlder ? '← Older post' : 'Newer post →'}</span>
+        <span class="post-nav-title">${post.title}</span>
+        <time class="post-nav-date" datetime="${post.date}">${this.blogManager.formatDate(post.date)}</time>
+      </a>
+    `;
+  }
+
+  // Arrow keys navigate unless the user is typing or using a modifier shortcut
+  handleKeydown(e) {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if (this.isEditable(e.target)) return;
+
+    const post = { ArrowLeft: this.links.older, ArrowRight: this.links.newer }[e.key];
+
+    if (post) {
+      e.preventDefault();
+      window.location.href = this.blogManager.getPostUrl(post);
+    }
+  }
+
+  isEditable(element) {
+    if (!element || !element.closest) return false;
+    return Boolean(element.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+  }
+
+  // Remove the keyboard listener, e.g. before re-rendering
+  destroy() {
+    document.removeEventListener('keydown', this.handleKeydown);
+    if (this.nav) {
+      this.nav.remove();
+      this.nav = null;
+    }
+  }
+}
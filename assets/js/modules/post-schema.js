@@ -0,0 +1,221 @@
+// Post Schema Module - Validates and normalizes blog post entries
+// Shared by BlogManager in the browser and scripts/validate-posts.js in Node
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const UNSAFE_URL_PATTERN = /^\s*(?:javascript|data|vbscript):/i;
+
+export class PostSchema {
+  // Fields every post must provide
+  static get requiredFields() {
+    return ['id', 'title', 'excerpt', 'date', 'category', 'url'];
+  }
+
+  // Validate a whole posts list, skipping invalid entries and later duplicates
+  // Returns { posts, errors } where errors are { index, id, field, message }
+  static validatePosts(list) {
+    if (!Array.isArray(list)) {
+      return {
+        posts: [],
+        errors: [{ index: null, id: null, field: 'posts', message: 'must be an array of posts' }]
+      };
+    }
+
+    const posts = [];
+    const errors = [];
+    const seenIds = new Map();
+
+    list.forEach((raw, index) => {
+      const result = this.validatePost(raw, index);
+
+      if (result.post && seenIds.has(result.post.id)) {
+        result.errors.push(this.createError(index, result.post.id, 'id',
+          `duplicate id, already used by posts[${seenIds.get(result.post.id)}]`));
+      }
+
+      errors.push(...result.errors);
+
+      if (!result.errors.length) {
+        seenIds.set(result.post.id, index);
+        posts.push(result.post);
+      }
+    });
+
+    return { posts, errors };
+  }
+
+  // Validate and normalize a single post; post is null when it cannot be used
+  static validatePost(raw, index = null) {
+    const errors = [];
+    const id = raw && typeof raw.id === 'string' ? raw.id.trim() : null;
+    const fail = (field, message) => errors.push(this.createError(index, id, field, message));
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      fail('post', 'must be an object');
+      return { post: null, errors };
+    }
+
+    this.requiredFields.forEach(field => {
+      if (raw[field] === undefined || raw[field] === null || raw[field] === '') {
+        fail(field, 'is required');
+      } else if (typeof raw[field] !== 'string') {
+        fail(field, `must be a string, got ${this.describeType(raw[field])}`);
+      }
+    });
+
+    if (errors.length) return { post: null, errors };
+
+    const post = {
+      ...raw,
+      id,
+      title: this.normalizeText(raw.title),
+      excerpt: this.normalizeText(raw.excerpt),
+      category: this.normalizeText(raw.category),
+      url: raw.url.trim()
+    };
+
+    if (!ID_PATTERN.test(post.id)) {
+      fail('id', `"${raw.id}" must be lowercase words separated by hyphens`);
+    }
+
+    const date = this.normalizeDate(raw.date);
+    if (date) {
+      post.date = date;
+    } else {
+      fail('date', `"${raw.date}" is not a valid YYYY-MM-DD date`);
+    }
+
+    if (!this.isSafeUrl(post.url)) {
+      fail('url', `"${raw.url}" is not an allowed link`);
+    }
+
+    if (raw.image === undefined || raw.image === null || raw.image === '') {
+      post.image = null;
+    } else if (typeof raw.image !== 'string' || !this.isSafeUrl(raw.image)) {
+      fail('image', 'must be a relative path or http(s) URL');
+    } else {
+      post.image = raw.image.trim();
+    }
+
+    if (raw.tags === undefined || raw.tags === null) {
+      post.tags = [];
+    } else if (!Array.isArray(raw.tags) || raw.tags.some(tag => typeof tag !== 'string')) {
+      fail('tags', 'must be an array of strings');
+    } else {
+      post.tags = this.normalizeTags(raw.tags);
+    }
+
+    if (raw.readTime !== undefined && typeof raw.readTime !== 'string') {
+      fail('readTime', `must be a string, got ${this.describeType(raw.readTime)}`);
+    }
+
+    if (raw.series !== undefined && raw.series !== null) {
+      const series = this.normalizeSeries(raw.series);
+      if (typeof series === 'string') {
+        fail('series', series);
+      } else {
+        post.series = series;
+      }
+    }
+
+    if (raw.draft !== undefined && typeof raw.draft !== 'boolean') {
+      fail('draft', `must be true or false, got ${this.describeType(raw.draft)}`);
+    }
+
+    // Counts written by scripts/build-content.js
+    ['words', 'images', 'minutes'].forEach(field => {
+      if (raw[field] !== undefined && !(Number.isInteger(raw[field]) && raw[field] >= 0)) {
+        fail(field, `must be a whole number, got ${JSON.stringify(raw[field])}`);
+      }
+    });
+
+    return { post: errors.length ? null : post, errors };
+  }
+
+  // Collapse whitespace in a text field
+  static normalizeText(value) {
+    return value.replace(/\s+/g, ' ').trim();
+  }
+
+  // Normalize a date string to YYYY-MM-DD, or null if it is not a real calendar date
+  static normalizeDate(value) {
+    const match = DATE_PATTERN.exec(value.trim());
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+
+    return match[0].slice(0, 10);
+  }
+
+  // Lowercase, hyphenate and dedupe tags
+  static normalizeTags(tags) {
+    const normalized = tags
+      .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-'))
+      .filter(Boolean);
+
+    return [...new Set(normalized)];
+  }
+
+  // Normalize { id, part, title? }; returns an error message string when invalid
+  static normalizeSeries(series) {
+    if (typeof series !== 'object' || Array.isArray(series)) {
+      return 'must be an object with an id and a part number';
+    }
+    if (typeof series.id !== 'string' || !ID_PATTERN.test(series.id.trim())) {
+      return 'id must be lowercase words separated by hyphens';
+    }
+    if (!Number.isInteger(series.part) || series.part < 1) {
+      return `part must be a whole number from 1, got ${JSON.stringify(series.part)}`;
+    }
+    if (series.title !== undefined && typeof series.title !== 'string') {
+      return `title must be a string, got ${this.describeType(series.title)}`;
+    }
+
+    const normalized = { id: series.id.trim(), part: series.part };
+    if (series.title) normalized.title = this.normalizeText(series.title);
+    return normalized;
+  }
+
+  // Allow relative paths and http(s) URLs, never script or data URLs
+  static isSafeUrl(value) {
+    if (UNSAFE_URL_PATTERN.test(value)) return false;
+    return !/^[a-z][a-z0-9+.-]*:/i.test(value) || /^https?:\/\//i.test(value);
+  }
+
+  // 'draft', 'scheduled' (dated in the future) or 'published'
+  // Dates have no time, so a post goes live at midnight UTC on its date, like in the feeds
+  static getStatus(post, now = new Date()) {
+    if (post.draft === true) return 'draft';
+    return post.date > now.toISOString().slice(0, 10) ? 'scheduled' : 'published';
+  }
+
+  static isPublished(post, now = new Date()) {
+    return this.getStatus(post, now) === 'published';
+  }
+
+  // Newest first; normalized dates compare correctly as strings
+  static compareByDate(a, b) {
+    return b.date.localeCompare(a.date);
+  }
+
+  // Human-readable "posts[2] (data-ethics) date: ..." line for an error
+  static formatError(error) {
+    const location = error.index === null ? 'posts.json' : `posts[${error.index}]`;
+    const id = error.id ? ` (${error.id})` : '';
+    return `${location}${id} ${error.field}: ${error.message}`;
+  }
+
+  static createError(index, id, field, message) {
+    return { index, id, field, message };
+  }
+
+  static describeType(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+  }
+}
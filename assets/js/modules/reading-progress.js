@@ -0,0 +1,182 @@
+// Reading Progress Module - Progress bar and "Continue reading" for article pages
+// Remembers how far each post has been read so BlogManager can mark read and unfinished posts
+
+import { Utils } from './utils.js';
+
+const STORAGE_KEY = 'mitch-portfolio-reading-progress';
+
+export class ReadingProgress {
+  constructor(options = {}) {
+    this.options = {
+      contentSelector: '.post-body',
+      storageKey: STORAGE_KEY,
+      // A post counts as read once this much of it has scrolled past
+      readThreshold: 0.9,
+      // Don't offer to resume a post that was barely started
+      minResumeProgress: 0.05,
+      ...options
+    };
+    this.postId = null;
+    this.content = null;
+    this.bar = null;
+    this.prompt = null;
+    this.progress = 0;
+    this.frame = null;
+    this.handleScroll = this.handleScroll.bind(this);
+    this.save = this.save.bind(this);
+    this.saveThrottled = Utils.throttle(this.save, 1000);
+  }
+
+  // Saved progress for every post: { [postId]: { progress, read, updatedAt } }
+  static getEntries(storageKey = STORAGE_KEY) {
+    return Utils.getLocalStorage(storageKey, {}) || {};
+  }
+
+  // 'read', 'in-progress' or null for a post that hasn't been opened
+  static getStatus(postId, storageKey = STORAGE_KEY) {
+    const entry = ReadingProgress.getEntries(storageKey)[postId];
+    if (!entry) return null;
+    return entry.read ? 'read' : 'in-progress';
+  }
+
+  // Set up the progress bar and offer to resume the current article
+  init() {
+    const article = document.querySelector('.blog-post[data-post-id]');
+    this.content = document.querySelector(this.options.contentSelector);
+
+    if (!article || !this.content) {
+      console.log('📄 No article content for reading progress');
+      return;
+    }
+
+    this.postId = article.getAttribute('data-post-id');
+    const saved = ReadingProgress.getEntries(this.options.storageKey)[this.postId];
+
+    this.bar = this.renderBar();
+    this.update();
+
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    window.addEventListener('resize', this.handleScroll);
+    window.addEventListener('pagehide', this.save);
+
+    if (saved && !saved.read && saved.progress >= this.options.minResumeProgress && this.progress < saved.progress) {
+      this.showResumePrompt(saved.progress);
+    }
+
+    console.log(`✅ Reading progress tracking ${this.postId}`);
+  }
+
+  // Thin bar along the bottom edge of the fixed site header
+  renderBar() {
+    const bar = document.createElement('div');
+    bar.className = 'reading-progress';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', 'Reading progress');
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    Utils.render(bar, Utils.html`<div class="reading-progress-bar"></div>`);
+
+    const header = document.querySelector('.site-header');
+    if (header) {
+      header.appendChild(bar);
+    } else {
+      bar.classList.add('standalone');
+      document.body.prepend(bar);
+    }
+
+    return bar;
+  }
+
+  handleScroll() {
+    if (this.frame) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.update();
+      this.saveThrottled();
+    });
+  }
+
+  // Scroll range over which the article is read: from its top reaching the header
+  // to its bottom reaching the bottom of the viewport
+  getScrollRange() {
+    const header = document.querySelector('.site-header');
+    const headerHeight = header ? header.offsetHeight : 0;
+    const top = Utils.getElementOffset(this.content).top;
+    const start = top - headerHeight;
+    const end = top + this.content.offsetHeight - window.innerHeight;
+
+    return { start, end: Math.max(end, start) };
+  }
+
+  update() {
+    const { start, end } = this.getScrollRange();
+    const progress = end > start ? (window.scrollY - start) / (end - start) : Number(window.scrollY >= end);
+    this.progress = Math.min(1, Math.max(0, progress));
+
+    const percent = Math.round(this.progress * 100);
+    this.bar.firstElementChild.style.transform = `scaleX(${this.progress})`;
+    this.bar.setAttribute('aria-valuenow', String(percent));
+
+    if (this.prompt && this.progress >= this.prompt.progress) {
+      this.hideResumePrompt();
+    }
+  }
+
+  // Store the furthest point reached; once read, a post stays read
+  save() {
+    if (!this.postId || this.progress < this.options.minResumeProgress) return;
+
+    const entries = ReadingProgress.getEntries(this.options.storageKey);
+    const previous = entries[this.postId] || {};
+    // Scrolling back up doesn't lose the resume point; a read post just records where it is
+    const progress = previous.read ? this.progress : Math.max(previous.progress || 0, this.progress);
+
+    entries[this.postId] = {
+      progress: Number(progress.toFixed(3)),
+      read: Boolean(previous.read) || progress >= this.options.readThreshold,
+      updatedAt: new Date().toISOString()
+    };
+
+    Utils.setLocalStorage(this.options.storageKey, entries);
+  }
+
+  showResumePrompt(progress) {
+    const element = document.createElement('div');
+    element.className = 'resume-prompt';
+    element.setAttribute('role', 'status');
+    Utils.render(element, Utils.html`
+      <p class="resume-prompt-text">You're ${Math.round(progress * 100)}% through this post.</p>
+      <button type="button" class="btn btn-primary resume-prompt-continue">Continue reading</button>
+      <button type="button" class="resume-prompt-dismiss" aria-label="Dismiss and start from the top">&times;</button>
+    `);
+
+    element.querySelector('.resume-prompt-continue').addEventListener('click', () => this.resume(progress));
+    element.querySelector('.resume-prompt-dismiss').addEventListener('click', () => this.hideResumePrompt());
+
+    document.body.appendChild(element);
+    this.prompt = { element, progress };
+  }
+
+  hideResumePrompt() {
+    if (!this.prompt) return;
+    this.prompt.element.remove();
+    this.prompt = null;
+  }
+
+  // Scroll back to the saved point of the article
+  resume(progress) {
+    const { start, end } = this.getScrollRange();
+    this.hideResumePrompt();
+    window.scrollTo({ top: start + progress * (end - start), behavior: 'smooth' });
+  }
+
+  destroy() {
+    window.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('resize', this.handleScroll);
+    window.removeEventListener('pagehide', this.save);
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.hideResumePrompt();
+    if (this.bar) this.bar.remove();
+  }
+}
@@ -0,0 +1,44 @@
+// Reading Time Module - Estimates reading time from word and image counts
+// Shared by BlogManager in the browser and scripts/build-content.js in Node
+
+export class ReadingTime {
+  // Default reading speed and image viewing time
+  static get defaults() {
+    return {
+      wordsPerMinute: 200,
+      // The first image takes 12s to look at, each following one a second less, down to 3s
+      firstImageSeconds: 12,
+      minImageSeconds: 3
+    };
+  }
+
+  // Count words in plain text
+  static countWords(text) {
+    const words = String(text).trim().match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu);
+    return words ? words.length : 0;
+  }
+
+  // Seconds spent on images, decreasing for each additional image
+  static imageSeconds(images, options = {}) {
+    const { firstImageSeconds, minImageSeconds } = { ...this.defaults, ...options };
+    let seconds = 0;
+
+    for (let i = 0; i < images; i++) {
+      seconds += Math.max(firstImageSeconds - i, minImageSeconds);
+    }
+
+    return seconds;
+  }
+
+  // Whole minutes to read { words, images }, never less than one
+  static estimate({ words = 0, images = 0 }, options = {}) {
+    const { wordsPerMinute } = { ...this.defaults, ...options };
+    const seconds = (words / wordsPerMinute) * 60 + this.imageSeconds(images, options);
+    return Math.max(1, Math.ceil(seconds / 60));
+  }
+
+  // "8 min read"
+  static format(minutes) {
+    return `${minutes} min read`;
+  }
+}
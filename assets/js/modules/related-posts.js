@@ -0,0 +1,105 @@
+// Related Posts Module - Suggests similar posts at the end of an article
+// Ranks other posts by shared tags, shared category and date proximity
+// Replaces the static sidebar list from front matter, which stays as the no-JavaScript version
+
+import { Utils } from './utils.js';
+
+export class RelatedPosts {
+  constructor(blogManager, options = {}) {
+    this.blogManager = blogManager;
+    this.options = {
+      limit: 3,
+      weights: { tag: 3, category: 2, proximity: 1 },
+      // Minimum tag/category overlap; date proximity alone never qualifies a post
+      minOverlap: 2,
+      // Posts further apart than this get no date proximity bonus
+      proximityDays: 365,
+      ...options
+    };
+    this.panel = null;
+  }
+
+  // Render the panel for the current article, if it has related posts
+  init() {
+    const article = document.querySelector('.blog-post');
+    const currentPost = this.blogManager.findPostByUrl();
+
+    if (!article || !currentPost) {
+      console.warn('⚠️ Related posts: current article not found in posts.json');
+      return;
+    }
+
+    // The ranking supersedes the static list, which may name posts with too little in common
+    const staticList = article.querySelector('.related-posts');
+    const related = this.getRelatedPosts(currentPost, this.getPickedPosts(staticList, currentPost));
+    if (staticList) staticList.remove();
+
+    if (!related.length) {
+      console.log(`📄 No related posts for ${currentPost.id}`);
+      return;
+    }
+
+    this.panel = this.render(related);
+    article.appendChild(this.panel);
+    console.log(`✅ Related posts rendered for ${currentPost.id}`);
+  }
+
+  // Best matches first; posts picked in front matter (`related`) still need enough overlap,
+  // and then rank ahead of the rest. Ties keep the date order from BlogManager
+  getRelatedPosts(currentPost, picked = []) {
+    return this.blogManager.blogPosts
+      .filter(post => post.id !== currentPost.id)
+      .map(post => this.scorePost(post, currentPost))
+      .filter(result => result.overlap >= this.options.minOverlap)
+      .sort((a, b) => Number(picked.includes(b.post)) - Number(picked.includes(a.post)) || b.score - a.score)
+      .slice(0, this.options.limit)
+      .map(result => result.post);
+  }
+
+  // The posts linked from the static sidebar list; hidden posts aren't in blogPosts and drop out
+  getPickedPosts(staticList, currentPost) {
+    if (!staticList) return [];
+
+    const posts = Array.from(staticList.querySelectorAll('a[href]'))
+      .map(link => this.blogManager.findPostByUrl(link.href))
+      .filter(post => post && post.id !== currentPost.id);
+
+    return [...new Set(posts)];
+  }
+
+  // Score one candidate against the current post
+  scorePost(post, currentPost) {
+    const { weights, proximityDays } = this.options;
+    const currentTags = new Set(currentPost.tags);
+    const sharedTags = post.tags.filter(tag => currentTags.has(tag)).length;
+    const sameCategory = post.category === currentPost.category;
+    const overlap = sharedTags * weights.tag + (sameCategory ? weights.category : 0);
+
+    const days = Math.abs(Date.parse(post.date) - Date.parse(currentPost.date)) / 86400000;
+    const proximity = Math.max(0, 1 - days / proximityDays) * weights.proximity;
+
+    return { post, overlap, score: overlap + proximity };
+  }
+
+  // Build the panel using BlogManager's compact cards
+  render(posts) {
+    const panel = document.createElement('section');
+    panel.className = 'related-panel';
+    panel.setAttribute('aria-labelledby', 'related-panel-title');
+    Utils.render(panel, Utils.html`
+      <div class="container">
+        <h2 class="related-panel-title" id="related-panel-title">More Like This</h2>
+        <div class="related-panel-grid"></div>
+      </div>
+    `);
+
+    const grid = panel.querySelector('.related-panel-grid');
+    posts.forEach(post => {
+      const card = this.blogManager.createBlogCard(post, { compact: true });
+      card.classList.add('animate-in');
+      grid.appendChild(card);
+    });
+
+    return panel;
+  }
+}
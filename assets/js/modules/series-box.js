@@ -0,0 +1,60 @@
+// Series Box Module - Lists every part of a multi-part series on its article pages
+// Sits at the top of the article body with the current part highlighted
+
+import { Utils } from './utils.js';
+
+export class SeriesBox {
+  constructor(blogManager) {
+    this.blogManager = blogManager;
+    this.box = null;
+  }
+
+  // Render the series box if the current article belongs to a series
+  init() {
+    const currentPost = this.blogManager.findPostByUrl();
+    if (!currentPost || !currentPost.series) return;
+
+    const body = document.querySelector('.post-body');
+    if (!body) {
+      console.warn('⚠️ Series box: .post-body not found');
+      return;
+    }
+
+    const series = this.blogManager.getSeriesInfo(currentPost);
+    this.box = this.render(series, currentPost);
+    body.prepend(this.box);
+
+    console.log(`✅ Series box rendered for ${series.id} (part ${series.part} of ${series.total})`);
+  }
+
+  // Not a heading, so it stays out of the table of contents
+  render(series, currentPost) {
+    const box = document.createElement('aside');
+    box.className = 'series-box';
+    box.setAttribute('aria-label', `Series: ${series.title}`);
+    Utils.render(box, Utils.html`
+      <p class="series-box-label">Part ${series.part} of ${series.total} in a series</p>
+      <p class="series-box-title">${series.title}</p>
+      <ol class="series-box-list">
+        ${series.posts.map(post => this.createItem(post, post.id === currentPost.id))}
+      </ol>
+    `);
+    return box;
+  }
+
+  // The current part is plain text; parts may skip numbers if some are unpublished
+  createItem(post, isCurrent) {
+    const content = isCurrent ?
+      Utils.html`<span aria-current="page">${post.title}</span>` :
+      Utils.html`<a href="${this.blogManager.getPostUrl(post)}">${post.title}</a>`;
+
+    return Utils.html`<li class="series-box-item${isCurrent ? ' current' : ''}" value="${post.series.part}">${content}</li>`;
+  }
+
+  destroy() {
+    if (this.box) {
+      this.box.remove();
+      this.box = null;
+    }
+  }
+}
@@ -0,0 +1,103 @@
+// Service Worker Manager Module - Registers sw.js and offers new versions to the reader
+// Shows an "update available" prompt instead of swapping the site out mid-visit
+
+import { Utils } from './utils.js';
+
+export class ServiceWorkerManager {
+  constructor(options = {}) {
+    this.options = {
+      // sw.js sits at the site root so its scope covers every page
+      scriptUrl: new URL('../../../sw.js', import.meta.url).href,
+      scope: new URL('../../../', import.meta.url).href,
+      // Cached files get in the way while editing locally; add ?sw=1 to test offline support there
+      enableOnLocalhost: new URLSearchParams(window.location.search).get('sw') === '1',
+      ...options
+    };
+    this.registration = null;
+    this.prompt = null;
+    this.isReloading = false;
+  }
+
+  // Register the service worker and watch for updates
+  async init() {
+    if (!('serviceWorker' in navigator)) {
+      console.log('📄 Service workers not supported, offline support disabled');
+      return;
+    }
+
+    if (this.isLocalhost() && !this.options.enableOnLocalhost) {
+      console.log('📄 Service worker skipped on localhost (add ?sw=1 to enable)');
+      return;
+    }
+
+    try {
+      this.registration = await navigator.serviceWorker.register(this.options.scriptUrl, { scope: this.options.scope });
+      console.log('✅ Service worker registered');
+    } catch (error) {
+      console.warn('⚠️ Service worker registration failed:', error.message);
+      return;
+    }
+
+    // The new version took over after the reader chose to reload
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!this.isReloading) return;
+      window.location.reload();
+    });
+
+    // A version may have finished installing during an earlier visit
+    if (this.registration.waiting && navigator.serviceWorker.controller) {
+      this.showUpdatePrompt(this.registration.waiting);
+    }
+
+    this.registration.addEventListener('updatefound', () => {
+      this.trackInstalling(this.registration.installing);
+    });
+  }
+
+  isLocalhost() {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+  }
+
+  // Prompt once the new worker has installed; the first install has no controller and needs no prompt
+  trackInstalling(worker) {
+    if (!worker) return;
+
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        this.showUpdatePrompt(worker);
+      }
+    });
+  }
+
+  showUpdatePrompt(worker) {
+    if (this.prompt) return;
+
+    this.prompt = document.createElement('div');
+    this.prompt.className = 'update-prompt';
+    this.prompt.setAttribute('role', 'status');
+    Utils.render(this.prompt, Utils.html`
+      <p class="update-prompt-text">A new version of this site is available.</p>
+      <button type="button" class="btn btn-primary update-prompt-reload">Reload</button>
+      <button type="button" class="update-prompt-dismiss" aria-label="Dismiss update notice">&times;</button>
+    `);
+
+    this.prompt.querySelector('.update-prompt-reload').addEventListener('click', () => this.applyUpdate(worker));
+    this.prompt.querySelector('.update-prompt-dismiss').addEventListener('click', () => this.hideUpdatePrompt());
+
+    document.body.appendChild(this.prompt);
+    console.log('🔄 New site version waiting');
+  }
+
+  hideUpdatePrompt() {
+    if (!this.prompt) return;
+    this.prompt.remove();
+    this.prompt = null;
+  }
+
+  // Let the waiting worker take over; controllerchange then reloads the page
+  applyUpdate(worker) {
+    this.isReloading = true;
+    this.hideUpdatePrompt();
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  }
+}
@@ -0,0 +1,225 @@
+// Table of Contents Module - Builds in-page navigation from an article's headings
+// Nested h2/h3 list with scroll-spy highlighting and copyable heading links
+
+import { Utils } from './utils.js';
+
+export class TableOfContents {
+  constructor(options = {}) {
+    this.options = {
+      headingSelector: '.post-body h2, .post-body h3',
+      // Short articles don't need a table of contents
+      minHeadings: 2,
+      // Collapse the list by default below this width
+      mobileQuery: '(max-width: 768px)',
+      // A heading is "current" once it reaches the top 30% of the viewport
+      rootMargin: '0px 0px -70% 0px',
+      ...options
+    };
+    this.headings = [];
+    this.links = new Map();
+    this.visible = new Set();
+    this.activeId = null;
+    this.toc = null;
+    this.observer = null;
+    this.mediaQuery = null;
+    this.handleMediaChange = this.handleMediaChange.bind(this);
+  }
+
+  // Build the table of contents for the current article
+  init() {
+    this.headings = Array.from(document.querySelectorAll(this.options.headingSelector));
+
+    if (this.headings.length < this.options.minHeadings) {
+      console.log('📄 Not enough headings for a table of contents');
+      return;
+    }
+
+    this.assignIds();
+    this.addHeadingAnchors();
+    this.toc = this.render();
+    this.insert(this.toc);
+    this.setupCollapse();
+    this.setupScrollSpy();
+
+    console.log(`✅ Table of contents built with ${this.headings.length} headings`);
+  }
+
+  // Give every heading a stable id derived from its text, keeping ids authors set
+  assignIds() {
+    const used = new Set(Array.from(document.querySelectorAll('[id]'), element => element.id));
+
+    this.headings.forEach(heading => {
+      if (heading.id) return;
+      heading.id = Utils.slugify(this.getHeadingText(heading), used) || Utils.slugify('section', used);
+    });
+  }
+
+  getHeadingText(heading) {
+    const clone = heading.cloneNode(true);
+    clone.querySelectorAll('.heading-anchor').forEach(anchor => anchor.remove());
+    return clone.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  // Nest h3s under the preceding h2
+  buildTree() {
+    const tree = [];
+
+    this.headings.forEach(heading => {
+      const item = { heading, children: [] };
+      const parent = tree[tree.length - 1];
+
+      if (heading.tagName === 'H3' && parent) {
+        parent.children.push(item);
+      } else {
+        tree.push(item);
+      }
+    });
+
+    return tree;
+  }
+
+  renderList(items) {
+    return Utils.html`<ol class="toc-list">${items.map(({ heading, children }) => Utils.html`
+      <li class="toc-item">
+        <a href="#${heading.id}" class="toc-link" data-target="${heading.id}">${this.getHeadingText(heading)}</a>
+        ${children.length > 0 && this.renderList(children)}
+      </li>`)}
+    </ol>`;
+  }
+
+  render() {
+    const toc = document.createElement('nav');
+    toc.className = 'toc';
+    toc.setAttribute('aria-label', 'Table of contents');
+    Utils.render(toc, Utils.html`
+      <details class="toc-details" open>
+        <summary class="toc-title">On This Page</summary>
+        ${this.renderList(this.buildTree())}
+      </details>
+    `);
+
+    toc.querySelectorAll('.toc-link').forEach(link => {
+      this.links.set(link.getAttribute('data-target'), link);
+    });
+
+    return toc;
+  }
+
+  // End of the sidebar on article pages so it can stick once the other blocks scroll away,
+  // otherwise just before the article body
+  insert(toc) {
+    const sidebar = document.querySelector('.post-sidebar');
+    if (sidebar) {
+      sidebar.appendChild(toc);
+      return;
+    }
+
+    const body = document.querySelector('.post-body');
+    if (body) body.before(toc);
+  }
+
+  // Open on desktop, collapsed on mobile until the reader expands it
+  setupCollapse() {
+    if (!window.matchMedia) return;
+
+    this.mediaQuery = window.matchMedia(this.options.mobileQuery);
+    this.handleMediaChange(this.mediaQuery);
+
+    if (this.mediaQuery.addEventListener) {
+      this.mediaQuery.addEventListener('change', this.handleMediaChange);
+    }
+  }
+
+  handleMediaChange(query) {
+    const details = this.toc.querySelector('.toc-details');
+    details.open = !query.matches;
+  }
+
+  // Highlight the link for the section currently being read
+  setupScrollSpy() {
+    if (!('IntersectionObserver' in window)) return;
+
+    this.observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.visible.add(entry.target);
+        } else {
+          this.visible.delete(entry.target);
+        }
+      });
+
+      // First heading in the reading zone wins; keep the last one while between headings
+      const current = this.headings.find(heading => this.visible.has(heading));
+      if (current) this.setActive(current.id);
+    }, { rootMargin: this.options.rootMargin });
+
+    this.headings.forEach(heading => this.observer.observe(heading));
+  }
+
+  setActive(id) {
+    if (id === this.activeId) return;
+
+    const previous = this.links.get(this.activeId);
+    if (previous) {
+      previous.classList.remove('active');
+      previous.removeAttribute('aria-current');
+    }
+
+    const link = this.links.get(id);
+    if (link) {
+      link.classList.add('active');
+      link.setAttribute('aria-current', 'location');
+    }
+
+    this.activeId = id;
+  }
+
+  // Add a "#" link to each heading that copies the section URL
+  addHeadingAnchors() {
+    this.headings.forEach(heading => {
+      if (heading.querySelector('.heading-anchor')) return;
+
+      const anchor = document.createElement('a');
+      anchor.className = 'heading-anchor';
+      anchor.href = `#${heading.id}`;
+      anchor.textContent = '#';
+      anchor.setAttribute('aria-label', `Copy link to section: ${this.getHeadingText(heading)}`);
+      anchor.addEventListener('click', e => this.copyLink(e, heading));
+      heading.appendChild(anchor);
+    });
+  }
+
+  async copyLink(e, heading) {
+    e.preventDefault();
+
+    const anchor = e.currentTarget;
+    const url = new URL(window.location.href);
+    url.hash = heading.id;
+    history.replaceState(history.state, '', url.hash);
+
+    // Keep the heading clear of the fixed site header
+    const header = document.querySelector('.site-header');
+    Utils.scrollToElement(heading, header ? header.offsetHeight : 0);
+
+    try {
+      if (!navigator.clipboard) throw new Error('Clipboard API not available');
+      await navigator.clipboard.writeText(url.href);
+
+      anchor.classList.add('copied');
+      setTimeout(() => anchor.classList.remove('copied'), 1500);
+      Utils.announceToScreenReader('Link to section copied');
+    } catch (error) {
+      // The address bar still holds the section link, which can be copied by hand
+      console.warn('⚠️ Could not copy section link:', error.message);
+    }
+  }
+
+  // Stop observing and remove the table of contents
+  destroy() {
+    if (this.observer) this.observer.disconnect();
+    if (this.mediaQuery && this.mediaQuery.removeEventListener) {
+      this.mediaQuery.removeEventListener('change', this.handleMediaChange);
+    }
+    if (this.toc) this.toc.remove();
+  }
+}
@@ -1,6 +1,24 @@
 // Utilities Module - Common utility functions and helpers
 // Provides reusable functionality across the application
 
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'xlink:href'];
+const URL_ATTRIBUTE_PATTERN = new RegExp(`\\s(?:${URL_ATTRIBUTES.join('|')})\\s*=\\s*["']?$`, 'i');
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const ATTRIBUTE_NAME_PATTERN = /^[a-z_:][a-z0-9_:.-]*$/i;
+// End of a tag's markup inside an unquoted attribute value; group 1 is the value so far
+const UNQUOTED_VALUE_PATTERN = /=\s*([^\s"'=<>`]*)$/;
+
+// Markup produced by Utils.html or marked trusted with Utils.raw
+class SafeHtml {
+  constructor(html) {
+    this.html = String(html);
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
 export class Utils {
   // ===== DOM UTILITIES =====
   
@@ -108,6 +126,28 @@ export class Utils {
       .replace(/\s+/g, '');
   }
 
+  // Convert string to a URL-safe slug, e.g. "Visualizations: Ohio" → "visualizations-ohio"
+  // Pass a Set of slugs already in use to get "-2", "-3"... suffixes for repeats
+  static slugify(str, used = null) {
+    if (!str || typeof str !== 'string') return '';
+
+    const base = str
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+
+    if (!used) return base;
+
+    let slug = base;
+    for (let i = 2; used.has(slug); i++) {
+      slug = `${base}-${i}`;
+    }
+    used.add(slug);
+    return slug;
+  }
+
   // Truncate string with ellipsis
   static truncate(str, length = 100, suffix = '...') {
     if (!str || typeof str !== 'string') return '';
@@ -123,6 +163,115 @@ export class Utils {
     return tempDiv.textContent || tempDiv.innerText || '';
   }
 
+  // Escape HTML special characters so text can be placed in markup
+  static escapeHtml(str) {
+    if (str === null || str === undefined) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // ===== TEMPLATING UTILITIES =====
+
+  // Tagged template that escapes every interpolated value:
+  //   Utils.html`<a href="${post.url}">${post.title}</a>`
+  // Nested Utils.html results and Utils.raw() are inserted as-is, arrays are joined,
+  // null/undefined/false render nothing, and values in URL attributes go through safeUrl()
+  // A value for an unquoted attribute (src=${url}) is quoted, so a space in it can't add attributes
+  static html(strings, ...values) {
+    let output = strings[0];
+
+    values.forEach((value, index) => {
+      const isUrl = URL_ATTRIBUTE_PATTERN.test(strings[index]);
+      const rendered = Utils.renderValue(value, isUrl);
+      const unquoted = Utils.getUnquotedAttributeValue(output);
+
+      if (unquoted === null) {
+        output += rendered;
+      } else if (unquoted === '') {
+        output += `"${rendered}"`;
+      } else {
+        throw new Error(`Utils.html: quote the attribute value around \${...} after "${unquoted}"`);
+      }
+      output += strings[index + 1];
+    });
+
+    return new SafeHtml(output);
+  }
+
+  // The unquoted attribute value markup ends in ('' right after "="), or null outside one.
+  // Interpolated values are escaped, so every quote left in the tag is part of the markup.
+  static getUnquotedAttributeValue(markup) {
+    const tagStart = markup.lastIndexOf('<');
+    if (tagStart === -1 || markup.lastIndexOf('>') > tagStart) return null;
+
+    let quote = null;
+    for (const char of markup.slice(tagStart)) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      }
+    }
+    if (quote) return null;
+
+    const match = UNQUOTED_VALUE_PATTERN.exec(markup.slice(tagStart));
+    return match ? match[1] : null;
+  }
+
+  // Mark a trusted string as HTML so Utils.html and Utils.render insert it unescaped
+  static raw(html) {
+    return html instanceof SafeHtml ? html : new SafeHtml(html === null || html === undefined ? '' : html);
+  }
+
+  static isSafeHtml(value) {
+    return value instanceof SafeHtml;
+  }
+
+  // Render one interpolated value as escaped text, or as-is if it is already safe HTML
+  static renderValue(value, isUrl = false) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.toString();
+    if (Array.isArray(value)) return value.map(item => Utils.renderValue(item, isUrl)).join('');
+
+    return Utils.escapeHtml(isUrl ? Utils.safeUrl(value) : value);
+  }
+
+  // Keep relative URLs and http(s)/mailto/tel links; anything else (javascript:, data:...) becomes "#"
+  static safeUrl(url) {
+    const value = String(url).trim();
+    // Browsers ignore tabs, newlines and control characters inside a scheme
+    const scheme = value.replace(/[^\x21-\x7e]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+
+    if (!scheme) return value;
+    return SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase()) ? value : '#';
+  }
+
+  // Attribute list from an object: Utils.html`<button${Utils.attrs({ disabled: true, 'aria-label': label })}>`
+  // true renders a bare attribute, null/undefined/false skip it
+  static attrs(attributes) {
+    return new SafeHtml(Object.entries(attributes)
+      .filter(([, value]) => value !== null && value !== undefined && value !== false)
+      .map(([name, value]) => {
+        if (!ATTRIBUTE_NAME_PATTERN.test(name)) {
+          throw new Error(`Invalid attribute name: ${name}`);
+        }
+        if (value === true) return ` ${name}`;
+        const text = URL_ATTRIBUTES.includes(name.toLowerCase()) ? Utils.safeUrl(value) : value;
+        return ` ${name}="${Utils.escapeHtml(text)}"`;
+      })
+      .join(''));
+  }
+
+  // Replace an element's content with a Utils.html template; plain strings are inserted as text
+  static render(element, template) {
+    element.innerHTML = template instanceof SafeHtml ? template.toString() : Utils.escapeHtml(template);
+    return element;
+  }
+
   // ===== ARRAY UTILITIES =====
   
   // Shuffle array (Fisher-Yates algorithm)
@@ -259,15 +408,31 @@ export class Utils {
 
   // Update URL parameter without page reload
   static updateUrlParam(key, value) {
+    this.updateUrlParams({ [key]: value });
+  }
+
+  // Update several URL parameters at once, optionally as a new history entry
+  // Empty values remove the parameter; returns false when the URL is unchanged
+  static updateUrlParams(params, { push = false, state = {} } = {}) {
     const url = new URL(window.location);
-    
-    if (value === null || value === undefined || value === '') {
-      url.searchParams.delete(key);
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '') {
+        url.searchParams.delete(key);
+      } else {
+        url.searchParams.set(key, value);
+      }
+    });
+
+    if (url.href === window.location.href) return false;
+
+    if (push) {
+      window.history.pushState(state, '', url);
     } else {
-      url.searchParams.set(key, value);
+      window.history.replaceState(state, '', url);
     }
-    
-    window.history.replaceState({}, '', url);
+
+    return true;
   }
 
   // ===== PERFORMANCE UTILITIES =====
@@ -0,0 +1,57 @@
+// Header Component Module - Mobile menu ARIA setup and the scroll effect
+// Imported by ComponentLoader through the <script type="module"> in header.html
+
+// Hosts that already have a scroll listener; the hook runs again whenever the header is reloaded
+const scrollTargets = new WeakSet();
+
+// Init hook, run every time the header is inserted
+export default function initHeader(target) {
+  // Set up ARIA attributes for mobile menu
+  const toggle = target.querySelector('.navbar-toggle');
+  const menu = target.querySelector('.navbar-menu');
+
+  if (toggle && menu) {
+    toggle.setAttribute('aria-controls', 'navbar-menu');
+    toggle.setAttribute('aria-expanded', 'false');
+  }
+
+  // Add scroll listener for header styling
+  if (!scrollTargets.has(target)) {
+    scrollTargets.add(target);
+    setupScrollEffect(target);
+  }
+}
+
+// Set up header scroll effect
+function setupScrollEffect(headerTarget) {
+  let lastScrollY = window.scrollY;
+
+  const handleScroll = () => {
+    const currentScrollY = window.scrollY;
+    const header = headerTarget.querySelector('.site-header');
+
+    if (!header) return;
+
+    if (currentScrollY > 100) {
+      header.classList.add('scrolled');
+    } else {
+      header.classList.remove('scrolled');
+    }
+
+    // Hide/show header on scroll
+    if (currentScrollY > lastScrollY && currentScrollY > 200) {
+      header.style.transform = 'translateY(-100%)';
+    } else {
+      header.style.transform = 'translateY(0)';
+    }
+
+    lastScrollY = currentScrollY;
+  };
+
+  // Throttled scroll listener
+  let scrollTimeout;
+  window.addEventListener('scroll', () => {
+    clearTimeout(scrollTimeout);
+    scrollTimeout = setTimeout(handleScroll, 10);
+  });
+}
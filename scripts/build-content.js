@@ -0,0 +1,180 @@
+// Build content - Generates pages/*.html and posts.json from Markdown in content/posts
+// Usage: node scripts/build-content.js [--check]
+//   --check  report generated files that are out of date without writing them
+
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { PostSchema } from '../assets/js/modules/post-schema.js';
+import { ReadingTime } from '../assets/js/modules/reading-time.js';
+import { postsPath, rootDir, sitePath } from './lib/site.js';
+import { escapeXml, stripTags } from './lib/html.js';
+import {
+  parseFrontMatter,
+  renderMarkdown,
+  renderTemplate,
+  rebaseUrls,
+  indent,
+  formatDisplayDate,
+  formatJson
+} from './lib/content.js';
+
+const CONTENT = {
+  postsDir: 'content/posts',
+  template: 'content/templates/article.html',
+  defaultAuthorBio: 'Mitch Radakovich is a fourth-year Data Science student at Ohio State University.'
+};
+
+// Front matter and computed fields written to posts.json, in output order
+const INDEX_FIELDS = ['id', 'title', 'excerpt', 'date', 'category', 'url', 'image', 'tags', 'series', 'draft', 'words', 'images', 'minutes'];
+
+// Word and image counts for a rendered article body, with its reading time
+function measureContent(html) {
+  const words = ReadingTime.countWords(stripTags(html));
+  const images = (html.match(/<img\b|\bclass="[^"]*\bimg-placeholder\b/gi) || []).length;
+  return { words, images, minutes: ReadingTime.estimate({ words, images }) };
+}
+
+// Read every Markdown post as { source, data, html }
+async function readSources() {
+  const directory = sitePath(CONTENT.postsDir);
+  const files = (await readdir(directory)).filter(file => file.endsWith('.md')).sort();
+
+  return Promise.all(files.map(async file => {
+    const source = `${CONTENT.postsDir}/${file}`;
+    const { data, body } = parseFrontMatter(await readFile(path.join(directory, file), 'utf8'), source);
+
+    data.id = data.id || path.basename(file, '.md');
+    data.url = data.url || `pages/${data.id}.html`;
+
+    // Reading time always comes from the article itself, never from front matter
+    const html = renderMarkdown(body);
+    Object.assign(data, measureContent(html));
+
+    return { source, data, html };
+  }));
+}
+
+// Build the validated posts.json index; any invalid post fails the build
+function buildIndex(sources) {
+  const entries = sources.map(({ data }) => {
+    const entry = {};
+    INDEX_FIELDS.forEach(field => {
+      if (data[field] !== undefined) entry[field] = data[field];
+    });
+    return entry;
+  });
+
+  const { posts, errors } = PostSchema.validatePosts(entries);
+
+  if (errors.length) {
+    const details = errors.map(error => `  ${sources[error.index].source}: ${error.field} ${error.message}`);
+    throw new Error(`Invalid front matter:\n${details.join('\n')}`);
+  }
+
+  // Keep the field order stable and only what posts.json documents
+  return posts.map(post => Object.fromEntries(
+    INDEX_FIELDS.filter(field => field in post).map(field => [field, post[field]])
+  ));
+}
+
+function renderRelatedPosts(relatedIds, postsById, source) {
+  if (!relatedIds || !relatedIds.length) return '';
+
+  const items = relatedIds.map(id => {
+    const related = postsById.get(id);
+    if (!related) {
+      throw new Error(`${source}: related post "${id}" does not exist`);
+    }
+    return `    <li><a href="${escapeXml(related.url)}">${escapeXml(related.title)}</a></li>`;
+  });
+
+  return indent(`<div class="related-posts">
+  <h3>Related Posts</h3>
+  <ul>
+${items.join('\n')}
+  </ul>
+</div>`, 12);
+}
+
+function renderTopics(topics) {
+  if (!topics || !topics.length) return '';
+
+  const tags = topics.map(topic => `  <span class="tag">${escapeXml(topic)}</span>`);
+
+  return indent(`<div class="post-tags">
+  <h3>Tags</h3>
+${tags.join('\n')}
+</div>`, 12);
+}
+
+// Render one article page from its Markdown source
+function renderPage({ source, data, html: content }, post, template, postsById) {
+  const html = renderTemplate(template, {
+    source,
+    id: post.id,
+    heading: data.heading || post.title,
+    breadcrumb: data.breadcrumb || post.title,
+    description: data.description || post.excerpt,
+    date: post.date,
+    displayDate: formatDisplayDate(post.date),
+    category: post.category,
+    readTime: ReadingTime.format(post.minutes),
+    authorBio: data.authorBio || CONTENT.defaultAuthorBio,
+    content: indent(content, 14),
+    relatedPosts: renderRelatedPosts(data.related, postsById, source),
+    topics: renderTopics(data.topics || post.tags)
+  });
+
+  // Template and Markdown links are root-relative; rebase them for the page's directory
+  return rebaseUrls(html, path.posix.dirname(post.url));
+}
+
+// Generate { path: contents } for every output file
+async function buildContent() {
+  const sources = await readSources();
+  const posts = buildIndex(sources);
+  const postsById = new Map(posts.map(post => [post.id, post]));
+  const template = await readFile(sitePath(CONTENT.template), 'utf8');
+
+  const outputs = new Map();
+
+  sources.forEach(entry => {
+    const post = postsById.get(entry.data.id);
+    outputs.set(sitePath(post.url), renderPage(entry, post, template, postsById));
+  });
+
+  const sortedPosts = [...posts].sort((a, b) => PostSchema.compareByDate(a, b));
+  outputs.set(postsPath, formatJson({ posts: sortedPosts }));
+
+  return outputs;
+}
+
+async function run(checkOnly) {
+  const outputs = await buildContent();
+  const stale = [];
+
+  for (const [filePath, contents] of outputs) {
+    const current = await readFile(filePath, 'utf8').catch(() => null);
+    if (current === contents) continue;
+
+    stale.push(path.relative(rootDir, filePath));
+    if (!checkOnly) {
+      await writeFile(filePath, contents);
+    }
+  }
+
+  if (checkOnly && stale.length) {
+    console.error(`❌ Out of date, run "npm run build:content":\n  ${stale.join('\n  ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(stale.length ?
+    `✅ Wrote ${stale.join(', ')}` :
+    `✅ ${outputs.size} generated files already up to date`);
+}
+
+run(process.argv.includes('--check')).catch(error => {
+  console.error('❌ Content build failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,155 @@
+// Build feeds - Writes RSS 2.0, Atom and JSON Feed 1.1 files from posts.json
+// Usage: node scripts/build-feeds.js
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { PostSchema } from '../assets/js/modules/post-schema.js';
+import { pkg, siteUrl, absoluteUrl, sitePath, readPosts } from './lib/site.js';
+import { extractByClass, absolutizeUrls, escapeXml } from './lib/html.js';
+
+const FEED = {
+  title: 'Mitch Radakovich - Blog',
+  description: 'Blog posts by Mitch Radakovich on data science, technology, and student life',
+  language: 'en-us',
+  blogPage: 'blog.html',
+  files: {
+    rss: 'feed.xml',
+    atom: 'atom.xml',
+    json: 'feed.json'
+  }
+};
+
+// Posts are dated without a time; publish them at midnight UTC
+function toDate(date) {
+  return new Date(`${date}T00:00:00Z`);
+}
+
+// Read the article body for a post, with links made absolute for feed readers
+async function readArticleHtml(post) {
+  try {
+    const html = await readFile(sitePath(post.url), 'utf8');
+    const body = extractByClass(html, 'post-body');
+    return body ? absolutizeUrls(body, absoluteUrl(post.url)).replace(/[ \t]+$/gm, '') : null;
+  } catch (error) {
+    console.warn(`⚠️ No article body for ${post.id} (${post.url}): ${error.message}`);
+    return null;
+  }
+}
+
+// Published posts with absolute URLs and full content, ready for every feed format
+// Drafts are left out; scheduled posts appear the first time the feeds are built on or after their date
+async function loadFeedItems() {
+  const posts = (await readPosts()).filter(post => PostSchema.isPublished(post));
+
+  return Promise.all(posts.map(async post => ({
+    id: post.id,
+    title: post.title,
+    summary: post.excerpt,
+    url: absoluteUrl(post.url),
+    image: post.image ? absoluteUrl(post.image) : null,
+    category: post.category,
+    tags: post.tags,
+    date: toDate(post.date),
+    content: await readArticleHtml(post) || `<p>${escapeXml(post.excerpt)}</p>`
+  })));
+}
+
+function buildRss(items, updated) {
+  const entries = items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <category>${escapeXml(item.category)}</category>
+${item.tags.map(tag => `      <category>${escapeXml(tag)}</category>`).join('\n')}
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded><![CDATA[${item.content.replace(/]]>/g, ']]]]><![CDATA[>')}]]></content:encoded>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(FEED.title)}</title>
+    <link>${escapeXml(absoluteUrl(FEED.blogPage))}</link>
+    <description>${escapeXml(FEED.description)}</description>
+    <language>${FEED.language}</language>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(absoluteUrl(FEED.files.rss))}" rel="self" type="application/rss+xml"/>
+${entries}
+  </channel>
+</rss>
+`;
+}
+
+function buildAtom(items, updated) {
+  const entries = items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.url)}</id>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.date.toISOString()}</updated>
+    <category term="${escapeXml(item.category)}"/>
+${item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`).join('\n')}
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.content)}</content>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${FEED.language}">
+  <title>${escapeXml(FEED.title)}</title>
+  <subtitle>${escapeXml(FEED.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(absoluteUrl(FEED.blogPage))}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(absoluteUrl(FEED.files.atom))}"/>
+  <id>${escapeXml(absoluteUrl(FEED.blogPage))}</id>
+  <updated>${updated.toISOString()}</updated>
+  <author>
+    <name>${escapeXml(pkg.author)}</name>
+    <uri>${escapeXml(siteUrl)}</uri>
+  </author>
+${entries}
+</feed>
+`;
+}
+
+function buildJsonFeed(items) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: FEED.title,
+    home_page_url: absoluteUrl(FEED.blogPage),
+    feed_url: absoluteUrl(FEED.files.json),
+    description: FEED.description,
+    language: FEED.language.split('-')[0],
+    authors: [{ name: pkg.author, url: siteUrl }],
+    items: items.map(item => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      content_html: item.content,
+      summary: item.summary,
+      ...(item.image ? { image: item.image } : {}),
+      date_published: item.date.toISOString(),
+      tags: [item.category, ...item.tags]
+    }))
+  };
+
+  return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+async function buildFeeds() {
+  const items = await loadFeedItems();
+
+  // Use the newest post date so rebuilding without new posts changes nothing
+  const updated = items.length ? items[0].date : new Date(0);
+
+  await Promise.all([
+    writeFile(sitePath(FEED.files.rss), buildRss(items, updated)),
+    writeFile(sitePath(FEED.files.atom), buildAtom(items, updated)),
+    writeFile(sitePath(FEED.files.json), buildJsonFeed(items))
+  ]);
+
+  console.log(`✅ Wrote ${items.length} posts to ${Object.values(FEED.files).join(', ')}`);
+}
+
+buildFeeds().catch(error => {
+  console.error('❌ Feed build failed:', error);
+  process.exitCode = 1;
+});
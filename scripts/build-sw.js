@@ -0,0 +1,90 @@
+// Build service worker - Writes the precache manifest into sw.js
+// Usage: node scripts/build-sw.js [--check]
+//   --check  report whether sw.js is out of date without writing it
+
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { sitePath } from './lib/site.js';
+
+const SW = {
+  file: 'sw.js',
+  // Precached URLs that are not files, so the site root opens offline too
+  routes: ['./'],
+  // Site shell, precached on install; article pages and images are cached as they are visited
+  precache: [
+    { dir: '.', pattern: /^(index|blog|academics|contact|offline)\.html$/ },
+    { dir: 'components', pattern: /\.(html|js)$/ },
+    { dir: 'assets/css', pattern: /^(?!.*\.min\.css$).*\.css$/ },
+    { dir: 'assets/js', pattern: /^(?!.*\.min\.js$).*\.js$/ },
+    { dir: 'assets/js/modules', pattern: /\.js$/ },
+    { dir: 'assets/data', pattern: /^posts\.json$/ }
+  ]
+};
+
+const MANIFEST_PATTERN = /(\/\/ <precache-manifest>[^\n]*\n)[\s\S]*?(\/\/ <\/precache-manifest>)/;
+
+// Site-relative paths of every precached file, in a stable order
+async function listPrecacheFiles() {
+  const lists = await Promise.all(SW.precache.map(async entry => {
+    const { dir, pattern } = entry;
+    const names = await readdir(sitePath(dir));
+    return names
+      .filter(name => pattern.test(name))
+      .sort()
+      .map(name => path.posix.join(dir, name));
+  }));
+
+  return lists.flat();
+}
+
+// Hash of the precached files, so any change to the shell ships a new service worker
+async function hashFiles(files) {
+  const hash = createHash('sha256');
+
+  for (const file of files) {
+    hash.update(`${file}\0`);
+    hash.update(await readFile(sitePath(file)));
+  }
+
+  return hash.digest('hex').slice(0, 12);
+}
+
+function renderManifest(version, files) {
+  return `const PRECACHE_VERSION = '${version}';
+const PRECACHE_URLS = [
+${[...SW.routes, ...files].map(url => `  '${url}'`).join(',\n')}
+];
+`;
+}
+
+async function run(checkOnly) {
+  const files = await listPrecacheFiles();
+  const version = await hashFiles(files);
+  const current = await readFile(sitePath(SW.file), 'utf8');
+
+  if (!MANIFEST_PATTERN.test(current)) {
+    throw new Error(`No <precache-manifest> block in ${SW.file}`);
+  }
+
+  const updated = current.replace(MANIFEST_PATTERN, (match, start, end) => `${start}${renderManifest(version, files)}${end}`);
+
+  if (updated === current) {
+    console.log(`✅ ${SW.file} already up to date (${files.length} files, version ${version})`);
+    return;
+  }
+
+  if (checkOnly) {
+    console.error(`❌ Out of date, run "npm run build:sw":\n  ${SW.file}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await writeFile(sitePath(SW.file), updated);
+  console.log(`✅ Wrote ${SW.file} (${files.length} files, version ${version})`);
+}
+
+run(process.argv.includes('--check')).catch(error => {
+  console.error('❌ Service worker build failed:', error.message);
+  process.exitCode = 1;
+});
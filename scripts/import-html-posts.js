@@ -0,0 +1,121 @@
+// Import HTML posts - One-off conversion of pages/*.html articles into content/posts/*.md
+// Usage: node scripts/import-html-posts.js [--force]
+//   --force  overwrite Markdown files that already exist
+
+import { existsSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import TurndownService from 'turndown';
+import { readPosts, sitePath } from './lib/site.js';
+import { extractByClass, stripTags } from './lib/html.js';
+import { stringifyFrontMatter } from './lib/content.js';
+
+const POSTS_DIR = 'content/posts';
+
+// Styled images and visualization placeholders have no Markdown equivalent
+function isRawHtml(node) {
+  const className = node.getAttribute('class') || '';
+  return (node.nodeName === 'IMG' && className) ||
+    (node.nodeName === 'DIV' && /\bimg-placeholder\b/.test(className));
+}
+
+function createTurndown() {
+  const turndown = new TurndownService({
+    headingStyle: 'atx',
+    bulletListMarker: '-',
+    codeBlockStyle: 'fenced',
+    emDelimiter: '*',
+    // Empty placeholders count as blank and would otherwise be dropped
+    blankReplacement: (content, node) => {
+      if (isRawHtml(node)) return `\n\n${node.outerHTML}\n\n`;
+      return node.isBlock ? '\n\n' : '';
+    }
+  });
+
+  turndown.addRule('rawHtml', {
+    filter: isRawHtml,
+    replacement: (content, node) => `\n\n${node.outerHTML}\n\n`
+  });
+
+  return turndown;
+}
+
+function matchText(html, pattern) {
+  const match = pattern.exec(html);
+  return match ? stripTags(match[1]) : null;
+}
+
+function matchAll(html, pattern) {
+  return [...html.matchAll(pattern)].map(match => stripTags(match[1]));
+}
+
+// Article links are written relative to pages/; Markdown links are root-relative
+function rootRelativeLinks(html, pageDir) {
+  return html.replace(/\bhref="([^"]*)"/gi, (attribute, value) => {
+    if (!value || /^(?:[a-z][a-z0-9+.-]*:|#|\/)/i.test(value)) return attribute;
+
+    const target = path.posix.normalize(path.posix.join(pageDir, value));
+    return existsSync(sitePath(target)) ? `href="${target}"` : attribute;
+  });
+}
+
+// Front matter and Markdown body for one existing article page
+function convertPage(html, post, postsByUrl, turndown) {
+  const pageDir = path.posix.dirname(post.url);
+  const heading = matchText(html, /<h1 class="post-title">([\s\S]*?)<\/h1>/);
+  const breadcrumb = matchText(html, /<li aria-current="page">([\s\S]*?)<\/li>/);
+  const description = matchText(html, /<meta name="description" content="([^"]*)"/);
+  const authorBio = matchText(extractByClass(html, 'author-bio') || '', /<p>([\s\S]*?)<\/p>/);
+  const topics = matchAll(extractByClass(html, 'post-tags') || '', /<span class="tag">([\s\S]*?)<\/span>/g);
+
+  const related = [...(extractByClass(html, 'related-posts') || '').matchAll(/href="([^"]*)"/g)]
+    .map(match => postsByUrl.get(path.posix.normalize(path.posix.join(pageDir, match[1]))))
+    .filter(Boolean)
+    .map(relatedPost => relatedPost.id);
+
+  const data = {
+    id: post.id,
+    title: post.title,
+    ...(heading && heading !== post.title ? { heading } : {}),
+    ...(breadcrumb && breadcrumb !== post.title ? { breadcrumb } : {}),
+    ...(description && description !== post.excerpt ? { description } : {}),
+    date: post.date,
+    category: post.category,
+    excerpt: post.excerpt,
+    url: post.url,
+    image: post.image,
+    tags: post.tags,
+    ...(authorBio ? { authorBio } : {}),
+    ...(topics.length ? { topics } : {}),
+    ...(related.length ? { related } : {})
+  };
+
+  const body = rootRelativeLinks(extractByClass(html, 'post-section') || '', pageDir);
+  return stringifyFrontMatter(data, turndown.turndown(body));
+}
+
+async function importPosts(force) {
+  const posts = await readPosts();
+  const postsByUrl = new Map(posts.map(post => [post.url, post]));
+  const turndown = createTurndown();
+  const written = [];
+
+  for (const post of posts) {
+    const target = sitePath(`${POSTS_DIR}/${post.id}.md`);
+    if (existsSync(target) && !force) {
+      console.warn(`⚠️ Skipping ${post.id}: ${POSTS_DIR}/${post.id}.md already exists`);
+      continue;
+    }
+
+    const html = await readFile(sitePath(post.url), 'utf8');
+    await writeFile(target, convertPage(html, post, postsByUrl, turndown));
+    written.push(post.id);
+  }
+
+  console.log(`✅ Imported ${written.length} posts into ${POSTS_DIR}`);
+}
+
+importPosts(process.argv.includes('--force')).catch(error => {
+  console.error('❌ Import failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,93 @@
+// Content helpers for Node scripts - Front matter, Markdown and page templates
+// Used by build-content.js and import-html-posts.js
+
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { marked } from 'marked';
+import { escapeXml } from './html.js';
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/;
+
+// Split a Markdown file into { data, body }
+// CORE_SCHEMA keeps dates such as 2021-03-07 as strings instead of Date objects
+export function parseFrontMatter(source, fileName = 'file') {
+  const match = FRONT_MATTER_PATTERN.exec(source);
+  if (!match) {
+    throw new Error(`${fileName}: missing "---" front matter block`);
+  }
+
+  const data = yaml.load(match[1], { schema: yaml.CORE_SCHEMA }) || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${fileName}: front matter must be a YAML mapping`);
+  }
+
+  return { data, body: match[2] };
+}
+
+// Serialize front matter and a Markdown body back into one file
+export function stringifyFrontMatter(data, body) {
+  const frontMatter = yaml.dump(data, { lineWidth: 100, quotingType: '"' }).trimEnd();
+  return `---\n${frontMatter}\n---\n\n${body.trim()}\n`;
+}
+
+// Render Markdown to HTML; raw HTML blocks are passed through unchanged
+export function renderMarkdown(markdown) {
+  return marked.parse(markdown, { gfm: true }).trim();
+}
+
+// Fill {{name}} (escaped) and {{{name}}} (raw HTML) placeholders
+export function renderTemplate(template, data) {
+  return template
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (placeholder, key) => valueFor(data, key, placeholder))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => escapeXml(valueFor(data, key, placeholder)));
+}
+
+function valueFor(data, key, placeholder) {
+  if (!(key in data)) {
+    throw new Error(`Template placeholder ${placeholder} has no value`);
+  }
+  return data[key] === null || data[key] === undefined ? '' : String(data[key]);
+}
+
+// Rewrite root-relative src/href attributes so they resolve from a page in pageDir
+// e.g. rebaseUrls(html, 'pages') turns "assets/css/main.css" into "../assets/css/main.css"
+// and "pages/data_ethics_blog.html" into "data_ethics_blog.html"
+export function rebaseUrls(html, pageDir) {
+  if (!pageDir || pageDir === '.') return html;
+
+  return html.replace(/\b(src|href)="([^"]*)"/gi, (attribute, name, value) => {
+    if (!value || /^(?:[a-z][a-z0-9+.-]*:|#|\/|\.\.\/)/i.test(value)) return attribute;
+
+    const [, pathname, suffix] = /^([^?#]*)(.*)$/.exec(value);
+    const relative = path.posix.relative(pageDir, pathname) || path.posix.basename(pathname);
+    return `${name}="${relative}${suffix}"`;
+  });
+}
+
+// Indent every non-empty line of a block of markup
+export function indent(html, spaces) {
+  const padding = ' '.repeat(spaces);
+  return html
+    .split('\n')
+    .map(line => (line.trim() ? padding + line : ''))
+    .join('\n');
+}
+
+// "2021-03-07" -> "March 7, 2021", independent of the build machine's timezone
+export function formatDisplayDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+// Pretty-print JSON like posts.json: two-space indent, short string arrays kept on one line
+export function formatJson(value) {
+  return `${JSON.stringify(value, null, 2)
+    .replace(/\[\s+((?:"[^"\n]*",?\s+)+)\]/g, (match, items) => {
+      const inline = `[${items.trim().split(/,\s+/).join(', ')}]`;
+      return inline.length <= 80 ? inline : match;
+    })}\n`;
+}
@@ -0,0 +1,62 @@
+// HTML helpers for Node scripts - Small string-based utilities
+// Enough to read our own generated article markup without a DOM
+
+// Inner HTML of the first element carrying the given class, or null
+export function extractByClass(html, className) {
+  const openPattern = new RegExp(`<([a-z][a-z0-9]*)\\b[^>]*\\bclass="[^"]*\\b${className}\\b[^"]*"[^>]*>`, 'i');
+  const open = openPattern.exec(html);
+  if (!open) return null;
+
+  const tagName = open[1].toLowerCase();
+  const tagPattern = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+  tagPattern.lastIndex = open.index + open[0].length;
+
+  // Walk nested tags of the same name until the matching close tag
+  let depth = 1;
+  let match;
+  while ((match = tagPattern.exec(html))) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) {
+      return html.slice(open.index + open[0].length, match.index).trim();
+    }
+  }
+
+  return null;
+}
+
+// Rewrite relative src/href attributes to absolute URLs against a base
+export function absolutizeUrls(html, baseUrl) {
+  return html.replace(/\b(src|href)="([^"]*)"/gi, (attribute, name, value) => {
+    if (!value || /^(?:[a-z][a-z0-9+.-]*:|#|\/\/)/i.test(value)) return attribute;
+    return `${name}="${new URL(value, baseUrl).href}"`;
+  });
+}
+
+// Text content of an HTML fragment
+export function stripTags(html) {
+  return decodeEntities(html.replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Decode the handful of entities used in our content
+export function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(value);
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Escape text for XML element content and attribute values
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
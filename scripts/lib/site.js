@@ -0,0 +1,37 @@
+// Site helpers for Node scripts - Paths, site URL and validated posts
+// Shared by the build scripts so they agree on where things live
+
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PostSchema } from '../../assets/js/modules/post-schema.js';
+
+export const rootDir = fileURLToPath(new URL('../../', import.meta.url));
+export const postsPath = path.join(rootDir, 'assets/data/posts.json');
+
+export const pkg = JSON.parse(readFileSync(path.join(rootDir, 'package.json'), 'utf8'));
+
+// Site root with a trailing slash, e.g. https://mitchrad99.github.io/
+export const siteUrl = pkg.homepage.endsWith('/') ? pkg.homepage : `${pkg.homepage}/`;
+
+// Resolve a site-relative path such as "pages/data_ethics_blog.html" to an absolute URL
+export function absoluteUrl(relativePath, base = siteUrl) {
+  return new URL(relativePath, base).href;
+}
+
+// Absolute path on disk for a site-relative path
+export function sitePath(relativePath) {
+  return path.join(rootDir, relativePath);
+}
+
+// Read posts.json through the post schema, newest first
+// Invalid entries are reported and skipped, matching BlogManager
+export async function readPosts(filePath = postsPath) {
+  const data = JSON.parse(await readFile(filePath, 'utf8'));
+  const { posts, errors } = PostSchema.validatePosts(data && data.posts);
+
+  errors.forEach(error => console.warn(`⚠️ Skipping invalid post: ${PostSchema.formatError(error)}`));
+
+  return posts.sort((a, b) => PostSchema.compareByDate(a, b));
+}
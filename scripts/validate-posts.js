@@ -0,0 +1,35 @@
+// Validate posts.json - Checks every entry against the shared post schema
+// Usage: node scripts/validate-posts.js [path/to/posts.json]
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { PostSchema } from '../assets/js/modules/post-schema.js';
+
+const defaultPath = fileURLToPath(new URL('../assets/data/posts.json', import.meta.url));
+
+async function validate(filePath) {
+  let data;
+
+  try {
+    data = JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read ${filePath}: ${error.message}`);
+    return false;
+  }
+
+  const { posts, errors } = PostSchema.validatePosts(data && data.posts);
+
+  errors.forEach(error => console.error(`❌ ${PostSchema.formatError(error)}`));
+
+  if (errors.length) {
+    console.error(`\n${errors.length} problem(s) found; ${posts.length} valid post(s) in ${filePath}`);
+    return false;
+  }
+
+  console.log(`✅ ${posts.length} posts valid in ${filePath}`);
+  return true;
+}
+
+validate(process.argv[2] || defaultPath).then(ok => {
+  process.exitCode = ok ? 0 : 1;
+});
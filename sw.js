@@ -0,0 +1,161 @@
+// Service Worker - Offline support for the static site
+// Precaches the shell, caches article pages and images as they are visited
+
+/* eslint-env serviceworker */
+
+// <precache-manifest> Generated by scripts/build-sw.js, do not edit by hand
+const PRECACHE_VERSION = 'a73392e86c80';
+const PRECACHE_URLS = [
+  './',
+  'academics.html',
+  'blog.html',
+  'contact.html',
+  'index.html',
+  'offline.html',
+  'components/footer.html',
+  'components/header.html',
+  'components/header.js',
+  'assets/css/components.css',
+  'assets/css/main.css',
+  'assets/css/responsive.css',
+  'assets/js/components.js',
+  'assets/js/main.js',
+  'assets/js/navigation-fallback.js',
+  'assets/js/modules/blog-manager.js',
+  'assets/js/modules/blog-search.js',
+  'assets/js/modules/component-loader.js',
+  'assets/js/modules/data-cache.js',
+  'assets/js/modules/navigation.js',
+  'assets/js/modules/post-navigation.js',
+  'assets/js/modules/post-schema.js',
+  'assets/js/modules/reading-progress.js',
+  'assets/js/modules/reading-time.js',
+  'assets/js/modules/related-posts.js',
+  'assets/js/modules/series-box.js',
+  'assets/js/modules/service-worker-manager.js',
+  'assets/js/modules/table-of-contents.js',
+  'assets/js/modules/theme-manager.js',
+  'assets/js/modules/utils.js',
+  'assets/data/posts.json'
+];
+// </precache-manifest>
+
+const PRECACHE = `precache-${PRECACHE_VERSION}`;
+const PAGES_CACHE = 'runtime-pages';
+const IMAGES_CACHE = 'runtime-images';
+const DATA_CACHE = 'runtime-data';
+const OFFLINE_PAGE = 'offline.html';
+// Oldest images are dropped beyond this many
+const MAX_IMAGES = 60;
+
+const scopeUrl = path => new URL(path, self.registration.scope).href;
+
+// Cache the shell; the new version waits until the page asks it to take over
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(PRECACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(scopeUrl(url), { cache: 'reload' }))))
+  );
+});
+
+// Drop shells from earlier versions and take control of open pages
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('precache-') && name !== PRECACHE)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Sent by ServiceWorkerManager when the reader accepts the update prompt
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Leave other origins and non-GET requests to the browser
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+  } else if (request.destination === 'image') {
+    event.respondWith(handleImage(request));
+  } else if (url.pathname.endsWith('/posts.json')) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  } else if (PRECACHE_URLS.some(path => scopeUrl(path) === url.href)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// Pages: fresh from the network, cached copy when offline, otherwise the offline page
+async function handleNavigation(event) {
+  try {
+    return await networkFirst(event.request, PAGES_CACHE);
+  } catch (error) {
+    return offlinePage();
+  }
+}
+
+// Query strings only carry blog filters and preview mode, so copies are stored without them
+async function networkFirst(request, cacheName) {
+  const key = request.url.split('?')[0];
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(key, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(key);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request.url, { cacheName: PRECACHE });
+  return cached || fetch(request);
+}
+
+async function handleImage(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(IMAGES_CACHE);
+      await cache.put(request, response.clone());
+      trimCache(IMAGES_CACHE, MAX_IMAGES);
+    }
+    return response;
+  } catch (error) {
+    return new Response('', { status: 503, statusText: 'Offline' });
+  }
+}
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+// The offline page is served at whatever URL failed, so point its relative links at the site root
+async function offlinePage() {
+  const cached = await caches.match(scopeUrl(OFFLINE_PAGE), { cacheName: PRECACHE });
+  if (!cached) {
+    return new Response('You are offline.', { status: 503, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+  }
+
+  const html = (await cached.text()).replace('<head>', `<head>\n  <base href="${self.registration.scope}">`);
+  return new Response(html, { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}